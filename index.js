@@ -1,11 +1,13 @@
 const QuoteGenerator = require("./src/utils/quote-generator");
-const { bratGenerator, bratVidGenerator, generateAnimatedBratVid, randomChoice, emojiImageCachePromise } = require("./src/utils/brat-generator");
+const { BRAT_PRESETS, bratGenerator, bratVidGenerator, generateAnimatedBratVid, generateAnimatedBratBuffer, randomChoice, emojiImageCachePromise } = require("./src/utils/brat-generator");
 
 module.exports = {
   QuoteGenerator,
   bratGenerator,
+  BRAT_PRESETS,
   bratVidGenerator,
   generateAnimatedBratVid,
+  generateAnimatedBratBuffer,
   randomChoice,
   emojiImageCachePromise
 };
\ No newline at end of file
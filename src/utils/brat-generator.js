@@ -3,8 +3,32 @@ const path = require("path");
 const sharp = require("sharp");
 const EmojiDbLib = require("emoji-db");
 const ffmpeg = require('@ts-ffmpeg/fluent-ffmpeg');
+const os = require('os');
 const { createCanvas, loadImage } = require('canvas');
 const emojiImageByBrandPromise = require("emoji-cache");
+const { toWebpSticker, addStickerMetadata, ANIMATED_STICKER_MAX_BYTES } = require("./sticker");
+
+const BRAT_VIDEO_FILTER = 'scale=512:512:force_original_aspect_ratio=decrease,pad=512:512:(ow-iw)/2:(oh-ih)/2';
+const BRAT_FRAMERATE = 1.5;
+const BRAT_QUALITY_STEPS = [80, 65, 50, 35, 20];
+const BRAT_FORMATS = ['webp', 'gif', 'mp4'];
+const BRAT_FRAME_STEPS = [1, 2, 3];
+const BRAT_DEFAULT_STYLE = {
+  background: '#FFFFFF',
+  textColor: '#000000',
+  highlightColor: '#FF0000',
+  blur: 3,
+  width: 512,
+  height: 512,
+  margin: 8,
+  verticalPadding: 8,
+  lineHeightMultiplier: 1.3
+};
+const BRAT_PRESETS = {
+  classic: { background: '#8ACE00', textColor: '#000000', highlightColor: '#FFFFFF' },
+  dark: { background: '#000000', textColor: '#FFFFFF', highlightColor: '#8ACE00' },
+  transparent: { background: 'transparent', textColor: '#000000', highlightColor: '#FF0000' }
+};
 
 let emojiDb;
 try {
@@ -176,33 +200,241 @@ function getFontForSegment(type, fontSize) {
   }
 }
 
-function generateAnimatedBratVid(tempFrameDir, outputPath) {
+function resolveBratFormat(format, outputPath) {
+  const extension = path.extname(outputPath || '').slice(1).toLowerCase();
+  const requested = format || (BRAT_FORMATS.includes(extension) ? extension : 'webp');
+  const normalized = String(requested).toLowerCase();
+  if (!BRAT_FORMATS.includes(normalized)) throw new Error(`Unsupported animation format: ${requested}`);
+  return normalized;
+}
+
+function resolveBratStyle(options) {
+  let preset = {};
+  if (options.preset) {
+    preset = BRAT_PRESETS[String(options.preset).toLowerCase()];
+    if (!preset) throw new Error(`Preset tidak dikenal: ${options.preset}. Pilihan: ${Object.keys(BRAT_PRESETS).join(', ')}`);
+  }
+  const style = { ...BRAT_DEFAULT_STYLE, ...preset };
+  for (const key of Object.keys(BRAT_DEFAULT_STYLE)) {
+    if (options[key] !== undefined && options[key] !== null) style[key] = options[key];
+  }
+  if (!Number.isInteger(style.width) || !Number.isInteger(style.height) || style.width <= 0 || style.height <= 0) throw new Error('width dan height harus berupa bilangan bulat positif.');
+  if (!(style.blur >= 0)) throw new Error('blur harus berupa angka >= 0.');
+  if (!(style.lineHeightMultiplier > 0)) throw new Error('lineHeightMultiplier harus lebih dari 0.');
+  if (2 * style.margin >= style.width || 2 * style.verticalPadding >= style.height) throw new Error('margin terlalu besar untuk ukuran kanvas.');
+  return style;
+}
+
+function resolveFrameDurations(frameCount, options) {
+  if (!Array.isArray(options.frameDurations) && !(options.lastFrameDuration > 0)) return null;
+  const framerate = options.framerate || BRAT_FRAMERATE;
+  const durations = [];
+  for (let i = 0; i < frameCount; i++) {
+    const duration = Number(options.frameDurations?.[i]);
+    durations.push(duration > 0 ? duration : 1000 / framerate);
+  }
+  if (options.lastFrameDuration > 0) durations[frameCount - 1] = Number(options.lastFrameDuration);
+  return durations;
+}
+
+function bratOutputOptions(format, { quality = 80, loop = 0, variableFrameRate = false } = {}) {
+  switch (format) {
+    case 'gif':
+      return {
+        codec: 'gif',
+        options: [
+          '-vf', `${BRAT_VIDEO_FILTER},split[frames][copy];[copy]palettegen=reserve_transparent=1[palette];[frames][palette]paletteuse`,
+          '-loop', String(loop === 0 ? 0 : loop === 1 ? -1 : loop - 1),
+          ...(variableFrameRate ? ['-vsync', 'vfr'] : []),
+          '-an'
+        ]
+      };
+    case 'mp4':
+      return {
+        codec: 'libx264',
+        options: [
+          '-vf', `${BRAT_VIDEO_FILTER},fps=30,format=yuv420p`,
+          '-pix_fmt', 'yuv420p',
+          '-crf', String(Math.round(18 + (100 - quality) * 0.3)),
+          '-preset', 'medium',
+          '-movflags', '+faststart',
+          '-an'
+        ]
+      };
+    default:
+      return {
+        codec: 'libwebp',
+        options: [
+          '-vf', BRAT_VIDEO_FILTER,
+          '-loop', String(loop),
+          '-q:v', String(quality),
+          '-preset', 'default',
+          ...(variableFrameRate ? ['-vsync', 'vfr'] : []),
+          '-an'
+        ]
+      };
+  }
+}
+
+function setWebpFrameDurations(buffer, durations) {
+  let frame = 0;
+  for (let offset = 12; offset + 8 <= buffer.length && frame < durations.length;) {
+    const size = buffer.readUInt32LE(offset + 4);
+    if (buffer.toString('ascii', offset, offset + 4) === 'ANMF') {
+      buffer.writeUIntLE(Math.min(0xffffff, Math.round(durations[frame++])), offset + 20, 3);
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return buffer;
+}
+
+function setGifFrameDelays(buffer, durations) {
+  const colorTableSize = (packed) => (packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0);
+  let offset = 13 + colorTableSize(buffer[10]);
+  const skipSubBlocks = () => {
+    while (offset < buffer.length && buffer[offset] !== 0) offset += buffer[offset] + 1;
+    offset++;
+  };
+  let frame = 0;
+  while (offset < buffer.length && frame < durations.length) {
+    if (buffer[offset] === 0x21) {
+      if (buffer[offset + 1] === 0xf9) buffer.writeUInt16LE(Math.round(durations[frame++] / 10), offset + 4);
+      offset += 2;
+      skipSubBlocks();
+    } else if (buffer[offset] === 0x2c) {
+      offset += 10 + colorTableSize(buffer[offset + 9]) + 1;
+      skipSubBlocks();
+    } else {
+      break;
+    }
+  }
+  return buffer;
+}
+
+function mergeFrames(frames, durations, frameStep) {
+  const merged = { frames: [], durations: [] };
+  for (let start = 0; start < frames.length; start += frameStep) {
+    const end = Math.min(start + frameStep, frames.length);
+    merged.frames.push(frames[end - 1]);
+    merged.durations.push(durations.slice(start, end).reduce((total, duration) => total + duration, 0));
+  }
+  return merged;
+}
+
+function generateAnimatedBratVid(tempFrameDir, outputPath, options = {}) {
   return new Promise((resolve, reject) => {
+    let concatPath = null;
+    const cleanup = () => {
+      if (concatPath) fs.rmSync(concatPath, { force: true });
+    };
     try {
       if (typeof tempFrameDir !== 'string' || typeof outputPath !== 'string') throw new TypeError('Directory and path must be strings');
       if (!fs.existsSync(tempFrameDir)) throw new Error(`Temporary frame directory not found: ${tempFrameDir}`);
-      const command = ffmpeg()
-        .input(path.join(tempFrameDir, 'frame_%d.png'))
-        .inputOptions('-framerate', '1.5')
-        .outputOptions('-vf', 'scale=512:512:force_original_aspect_ratio=decrease,pad=512:512:(ow-iw)/2:(oh-ih)/2')
+      const format = resolveBratFormat(options.format, outputPath);
+      const framerate = options.framerate || BRAT_FRAMERATE;
+      const frameFiles = fs.readdirSync(tempFrameDir)
+        .filter((file) => /^frame_\d+\.png$/.test(file))
+        .sort((a, b) => parseInt(a.slice(6), 10) - parseInt(b.slice(6), 10));
+      const durations = resolveFrameDurations(frameFiles.length, options);
+      const command = ffmpeg();
+      if (durations) {
+        concatPath = path.join(tempFrameDir, 'frames.ffconcat');
+        const lines = ['ffconcat version 1.0'];
+        frameFiles.forEach((file, index) => {
+          lines.push(`file '${path.resolve(tempFrameDir, file)}'`, `duration ${(durations[index] / 1000).toFixed(3)}`);
+        });
+        if (format === 'mp4') lines.push(`file '${path.resolve(tempFrameDir, frameFiles[frameFiles.length - 1])}'`);
+        fs.writeFileSync(concatPath, lines.join('\n'));
+        command.input(concatPath).inputFormat('concat').inputOptions('-safe', '0');
+      } else {
+        command.input(path.join(tempFrameDir, 'frame_%d.png')).inputOptions('-framerate', String(framerate));
+      }
+      const { codec, options: outputOptions } = bratOutputOptions(format, {
+        quality: options.quality,
+        loop: options.loop,
+        variableFrameRate: !!durations
+      });
+      command
         .output(outputPath)
-        .videoCodec('libwebp')
-        .outputOptions('-loop', '0', '-q:v', '80', '-preset', 'default', '-an')
+        .videoCodec(codec)
+        .outputOptions(outputOptions)
         .on('end', () => {
-          resolve();
+          cleanup();
+          try {
+            // The muxers round timestamps and guess the last frame's duration, so write the exact values back.
+            if (durations && format === 'webp') fs.writeFileSync(outputPath, setWebpFrameDurations(fs.readFileSync(outputPath), durations));
+            if (durations && format === 'gif') fs.writeFileSync(outputPath, setGifFrameDelays(fs.readFileSync(outputPath), durations));
+            resolve();
+          } catch (error) {
+            reject(error);
+          }
         })
         .on('error', (err) => {
+          cleanup();
           console.error('Error while processing video:', err);
           reject(err);
         });
       command.run();
     } catch (error) {
+      cleanup();
       console.error('Error in generateAnimatedBratVid:', error);
       reject(error);
     }
   });
 }
 
+async function encodeAnimation(frames, format, options) {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'brat-animation-'));
+  try {
+    for (let index = 0; index < frames.length; index++) {
+      await fs.promises.writeFile(path.join(tempDir, `frame_${index + 1}.png`), frames[index]);
+    }
+    const outputPath = path.join(tempDir, `animation.${format}`);
+    await generateAnimatedBratVid(tempDir, outputPath, { ...options, format });
+    return await fs.promises.readFile(outputPath);
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function generateAnimatedBratBuffer(frames, options = {}) {
+  try {
+    if (!Array.isArray(frames) || frames.length === 0) throw new Error('Frames must be a non-empty array of image buffers');
+    if (!frames.every(Buffer.isBuffer)) throw new TypeError('Every frame must be a Buffer');
+    const format = resolveBratFormat(options.format);
+    const maxBytes = options.maxBytes || (format === 'webp' ? ANIMATED_STICKER_MAX_BYTES : null);
+    const framerate = options.framerate || BRAT_FRAMERATE;
+    const durations = resolveFrameDurations(frames.length, options);
+    const encodeOptions = { framerate, loop: options.loop };
+    if (!maxBytes) {
+      return await encodeAnimation(frames, format, { ...encodeOptions, quality: options.quality, frameDurations: durations });
+    }
+    const qualitySteps = format === 'gif' ? [null] : BRAT_QUALITY_STEPS;
+    let smallest = null;
+    for (const frameStep of BRAT_FRAME_STEPS) {
+      // Dropping frames would shorten the animation, so each group keeps its last frame for the summed duration.
+      const step = frameStep === 1 && !durations
+        ? { frames, durations: null }
+        : mergeFrames(frames, durations || frames.map(() => 1000 / framerate), frameStep);
+      for (const quality of qualitySteps) {
+        let result = await encodeAnimation(step.frames, format, {
+          ...encodeOptions,
+          quality: quality || undefined,
+          frameDurations: step.durations
+        });
+        if (format === 'webp' && options.stickerMetadata) result = addStickerMetadata(result, options.stickerMetadata);
+        if (!smallest || result.length < smallest.length) smallest = result;
+        if (result.length <= maxBytes) return result;
+      }
+      if (step.frames.length <= 2) break;
+    }
+    throw new Error(`Animation is ${smallest.length} bytes even at the lowest quality and frame rate, which exceeds maxBytes ${maxBytes}`);
+  } catch (error) {
+    console.error('Error in generateAnimatedBratBuffer:', error);
+    throw error;
+  }
+}
+
 async function bratVidGenerator(text, width, height, bgColor = "#FFFFFF", textColor = "#000000", highlightWords = []) {
   try {
     if (typeof text !== 'string' || text.trim().length === 0) throw new Error('Text must be a non-empty string');
@@ -359,22 +591,24 @@ async function bratVidGenerator(text, width, height, bgColor = "#FFFFFF", textCo
   }
 }
 
-async function bratGenerator(teks, highlightWords = []) {
+async function bratGenerator(teks, highlightWords = [], options = {}) {
   try {
     if (typeof teks !== 'string' || teks.trim().length === 0) throw new Error('Teks tidak boleh kosong.');
     if (!Array.isArray(highlightWords)) throw new TypeError('highlightWords harus berupa array.');
     const allEmojiImages = await emojiImageByBrandPromise;
     const emojiCache = allEmojiImages["apple"] || {};
-    let width = 512, height = 512, margin = 8, verticalPadding = 8;
+    const style = resolveBratStyle(options);
+    const { width, height, margin, verticalPadding, lineHeightMultiplier } = style;
     const canvas = createCanvas(width, height);
     const ctx = canvas.getContext("2d");
     if (!ctx) throw new Error('Gagal membuat konteks kanvas.');
-    ctx.fillStyle = "white";
-    ctx.fillRect(0, 0, width, height);
+    if (style.background !== 'transparent') {
+      ctx.fillStyle = style.background;
+      ctx.fillRect(0, 0, width, height);
+    }
     ctx.textAlign = "left";
     ctx.textBaseline = "top";
-    let fontSize = 200;
-    let lineHeightMultiplier = 1.3;
+    let fontSize = Math.round(Math.min(width, height) * 200 / 512);
     const availableWidth = width - 2 * margin;
     let finalLines = [];
     let finalFontSize = 0;
@@ -439,7 +673,7 @@ async function bratGenerator(teks, highlightWords = []) {
     const totalFinalHeight = finalLines.length * lineHeight;
     let y = (finalLines.length === 1) ? verticalPadding : (height - totalFinalHeight) / 2;
     const renderSegment = async (segment, x, y) => {
-      ctx.fillStyle = isHighlighted(highlightWords, segment.content) ? "red" : "black";
+      ctx.fillStyle = isHighlighted(highlightWords, segment.content) ? style.highlightColor : style.textColor;
       switch (segment.type) {
         case 'bold':
           ctx.font = `bold ${finalFontSize}px Arial`;
@@ -502,7 +736,8 @@ async function bratGenerator(teks, highlightWords = []) {
       y += lineHeight;
     }
     const buffer = canvas.toBuffer("image/png");
-    const blurredBuffer = await sharp(buffer).blur(3).toBuffer();
+    const blurredBuffer = style.blur > 0 ? await sharp(buffer).blur(Math.max(0.3, style.blur)).toBuffer() : buffer;
+    if (options.format === 'webp-sticker') return await toWebpSticker(blurredBuffer, options.stickerMetadata);
     return blurredBuffer;
   } catch (error) {
     console.error('Terjadi error di bratGenerator:', error);
@@ -511,8 +746,10 @@ async function bratGenerator(teks, highlightWords = []) {
 }
 
 module.exports = {
+  BRAT_PRESETS,
   randomChoice,
   bratGenerator,
   bratVidGenerator,
-  generateAnimatedBratVid
+  generateAnimatedBratVid,
+  generateAnimatedBratBuffer
 };
\ No newline at end of file
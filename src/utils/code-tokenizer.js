@@ -0,0 +1,154 @@
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  ts: "javascript",
+  tsx: "javascript",
+  node: "javascript",
+  javascript: "javascript",
+  typescript: "javascript",
+  py: "python",
+  py3: "python",
+  python: "python",
+  python3: "python",
+  json: "json",
+  sh: "shell",
+  bash: "shell",
+  zsh: "shell",
+  shell: "shell",
+  console: "shell",
+};
+
+const KEYWORDS = {
+  javascript: new Set([
+    "async", "await", "break", "case", "catch", "class", "const", "continue",
+    "debugger", "default", "delete", "do", "else", "export", "extends",
+    "finally", "for", "from", "function", "if", "import", "in", "instanceof",
+    "interface", "let", "new", "of", "return", "static", "super", "switch",
+    "this", "throw", "try", "type", "typeof", "var", "void", "while", "with",
+    "yield",
+  ]),
+  python: new Set([
+    "and", "as", "assert", "async", "await", "break", "class", "continue",
+    "def", "del", "elif", "else", "except", "finally", "for", "from",
+    "global", "if", "import", "in", "is", "lambda", "nonlocal", "not", "or",
+    "pass", "raise", "return", "self", "try", "while", "with", "yield",
+  ]),
+  shell: new Set([
+    "case", "do", "done", "elif", "else", "esac", "export", "fi", "for",
+    "function", "if", "in", "local", "readonly", "return", "select", "then",
+    "until", "while",
+  ]),
+  json: new Set(),
+};
+
+const LITERALS = new Set([
+  "true", "false", "null", "undefined", "NaN", "Infinity", "True", "False", "None",
+]);
+
+const RULES = {
+  javascript: [
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["string", /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+    ["number", /(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)(?![\w$])/y],
+    ["word", /[A-Za-z_$][\w$]*/y],
+    ["punctuation", /[{}()[\];,.:?<>=!+\-*/%&|^~@#]+/y],
+  ],
+  python: [
+    ["comment", /#[^\n]*/y],
+    ["string", /[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y],
+    ["decorator", /@[A-Za-z_][\w.]*/y],
+    ["number", /(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?)(?!\w)/y],
+    ["word", /[A-Za-z_]\w*/y],
+    ["punctuation", /[{}()[\];,.:<>=!+\-*/%&|^~]+/y],
+  ],
+  json: [
+    ["string", /"(?:\\.|[^\\"\n])*"?/y],
+    ["number", /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ["word", /[A-Za-z_]\w*/y],
+    ["punctuation", /[{}[\],:]+/y],
+  ],
+  shell: [
+    ["comment", /(?:^|(?<=\s))#[^\n]*/y],
+    ["string", /"(?:\\.|[^\\"])*"?|'[^']*'?/y],
+    ["variable", /\$(?:\{[^}\n]*\}?|\([^)\n]*\)?|[A-Za-z_]\w*|[0-9#?@*$!-])/y],
+    ["property", /(?<![\w-])--?[A-Za-z][\w-]*/y],
+    ["number", /\d+(?![\w.-])/y],
+    ["word", /[A-Za-z_][\w.-]*/y],
+    ["punctuation", /[|&;<>(){}[\]=]+/y],
+  ],
+};
+
+function normalizeLanguage(language) {
+  if (!language) return null;
+  return LANGUAGE_ALIASES[String(language).trim().toLowerCase()] || null;
+}
+
+function _classifyWord(word, language, code, nextIndex) {
+  if (KEYWORDS[language].has(word)) return "keyword";
+  if (LITERALS.has(word)) return "literal";
+  if (language === "javascript" || language === "python") {
+    const following = code.slice(nextIndex).match(/^\s*(.)/);
+    if (following && following[1] === "(") return "function";
+  }
+  return "plain";
+}
+
+function _splitLines(tokens) {
+  const lines = [[]];
+  for (const token of tokens) {
+    const parts = token.text.split("\n");
+    parts.forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, type: token.type });
+    });
+  }
+  return lines;
+}
+
+function tokenizeCode(code, language) {
+  const source = String(code || "").replace(/\r\n?/g, "\n");
+  const lang = normalizeLanguage(language);
+  if (!lang) return _splitLines([{ text: source, type: "plain" }]);
+  const rules = RULES[lang];
+  const tokens = [];
+  const push = (text, type) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === "plain") last.text += text;
+    else tokens.push({ text, type });
+  };
+  let position = 0;
+  while (position < source.length) {
+    let matched = false;
+    for (const [type, pattern] of rules) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (!match || match[0].length === 0) continue;
+      const text = match[0];
+      const nextIndex = position + text.length;
+      if (type === "word") {
+        push(text, _classifyWord(text, lang, source, nextIndex));
+      } else if (type === "string" && lang === "json" && /^\s*:/.test(source.slice(nextIndex))) {
+        push(text, "property");
+      } else if (type === "decorator") {
+        push(text, "function");
+      } else {
+        push(text, type);
+      }
+      position = nextIndex;
+      matched = true;
+      break;
+    }
+    if (!matched) {
+      push(source[position], "plain");
+      position++;
+    }
+  }
+  return _splitLines(tokens);
+}
+
+module.exports = {
+  normalizeLanguage,
+  tokenizeCode,
+};
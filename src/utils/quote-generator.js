@@ -6,9 +6,21 @@
  **/
 
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const runes = require("runes");
 const sharp = require("sharp");
+const { PassThrough } = require("stream");
+const ffmpeg = require("@ts-ffmpeg/fluent-ffmpeg");
+const { tokenizeCode } = require("./code-tokenizer");
+const {
+  MENTION_PATTERN,
+  mentionKey,
+  parseWhatsAppMarkdown,
+  rewriteMentions,
+} = require("./whatsapp-text");
+const { generateAnimatedBratVid } = require("./brat-generator");
+const { toWebpSticker } = require("./sticker");
 const EmojiDbLib = require("emoji-db");
 const { LRUCache } = require("lru-cache");
 const emojiDb = new EmojiDbLib({ useDefaultDb: true });
@@ -53,6 +65,76 @@ const avatarCache = new LRUCache({
   max: 20,
   ttl: 1000 * 60 * 5,
 });
+const LOCALE_STRINGS = {
+  en: {
+    today: "TODAY",
+    yesterday: "YESTERDAY",
+    forwarded: "Forwarded",
+    forwardedMany: "Forwarded many times",
+    edited: "Edited",
+    deleted: "This message was deleted",
+    deletedByMe: "You deleted this message",
+    page: "page",
+    pages: "pages",
+    selectOne: "Select one",
+    selectMultiple: "Select one or more",
+    viewVotes: "View votes",
+    sendMessage: "Message",
+    addContact: "Add contact",
+    readMore: "Read more",
+    months: [
+      "January", "February", "March", "April", "May", "June",
+      "July", "August", "September", "October", "November", "December",
+    ],
+  },
+  id: {
+    today: "HARI INI",
+    yesterday: "KEMARIN",
+    forwarded: "Diteruskan",
+    forwardedMany: "Diteruskan berkali-kali",
+    edited: "Diedit",
+    deleted: "Pesan ini telah dihapus",
+    deletedByMe: "Anda menghapus pesan ini",
+    page: "halaman",
+    pages: "halaman",
+    selectOne: "Pilih satu",
+    selectMultiple: "Pilih satu atau lebih",
+    viewVotes: "Lihat suara",
+    sendMessage: "Kirim pesan",
+    addContact: "Tambah kontak",
+    readMore: "Baca selengkapnya",
+    months: [
+      "Januari", "Februari", "Maret", "April", "Mei", "Juni",
+      "Juli", "Agustus", "September", "Oktober", "November", "Desember",
+    ],
+  },
+};
+
+const ANIMATION_SIZE = 512;
+const TYPING_DURATION = 1000;
+const LAST_FRAME_HOLD = 2000;
+const CODE_THEMES = {
+  light: {
+    keyword: "#CF222E",
+    string: "#0A3069",
+    number: "#0550AE",
+    literal: "#0550AE",
+    comment: "#6E7781",
+    function: "#8250DF",
+    property: "#953800",
+    variable: "#953800",
+  },
+  dark: {
+    keyword: "#FF7B72",
+    string: "#A5D6FF",
+    number: "#79C0FF",
+    literal: "#79C0FF",
+    comment: "#8B949E",
+    function: "#D2A8FF",
+    property: "#FFA657",
+    variable: "#FFA657",
+  },
+};
 
 function _normalizeColor(color) {
   const canvas = createCanvas(0, 0);
@@ -87,6 +169,268 @@ function _hexToRgb(hex) {
     .map((x) => parseInt(x, 16));
 }
 
+function _resolveLocale(locale) {
+  if (locale && typeof locale === "object") {
+    return { ...LOCALE_STRINGS.en, ...locale };
+  }
+  return LOCALE_STRINGS[locale] || LOCALE_STRINGS.en;
+}
+function _toDate(timestamp) {
+  if (timestamp === undefined || timestamp === null || timestamp === "") return null;
+  let date;
+  if (timestamp instanceof Date) {
+    date = timestamp;
+  } else if (typeof timestamp === "number" || /^\d+$/.test(timestamp)) {
+    const epoch = Number(timestamp);
+    date = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+  } else {
+    date = new Date(timestamp);
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+function _startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+function _formatDateSeparator(date, now, locale) {
+  const dayDiff = Math.round((_startOfDay(now) - _startOfDay(date)) / 86400000);
+  if (dayDiff === 0) return locale.today;
+  if (dayDiff === 1) return locale.yesterday;
+  return `${date.getDate()} ${locale.months[date.getMonth()]} ${date.getFullYear()}`;
+}
+function _hashValue(value) {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  const step = Math.max(1, Math.floor(bytes.length / 4096));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i += step) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash ^ bytes.length;
+}
+function _pseudoWaveform(seed, bars) {
+  let state = seed >>> 0 || 1;
+  const random = () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+  const peaks = [];
+  let previous = 0.5;
+  for (let i = 0; i < bars; i++) {
+    previous = Math.min(1, Math.max(0.1, previous * 0.5 + random() * 0.6));
+    peaks.push(previous);
+  }
+  return peaks;
+}
+function _resamplePeaks(peaks, count) {
+  if (!peaks.length) return new Array(count).fill(0.1);
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * peaks.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * peaks.length) / count));
+    result.push(Math.max(...peaks.slice(start, end)));
+  }
+  return result;
+}
+function _formatDuration(seconds) {
+  const totalSeconds = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = String(totalSeconds % 60).padStart(2, "0");
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, "0")}:${secs}`;
+  return `${minutes}:${secs}`;
+}
+function _formatFileSize(size) {
+  if (typeof size === "string") return size;
+  const bytes = Number(size);
+  if (!isFinite(bytes) || bytes < 0) return "";
+  const units = ["B", "kB", "MB", "GB"];
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+  const rounded = unitIndex === 0 || value >= 100 ? Math.round(value) : value.toFixed(1);
+  return `${rounded} ${units[unitIndex]}`;
+}
+function _documentType(fileName, mimeType) {
+  const extension = (String(fileName || "").match(/\.([^./\\]+)$/) || [])[1] || "";
+  const mime = String(mimeType || "").toLowerCase();
+  const ext = extension.toLowerCase();
+  const upperExtension = extension.toUpperCase();
+  if (mime === "application/pdf" || ext === "pdf") {
+    return { label: "PDF", color: "#E5252A", extension: upperExtension };
+  }
+  if (/msword|wordprocessingml|opendocument\.text|rtf/.test(mime) || ["doc", "docx", "odt", "rtf"].includes(ext)) {
+    return { label: "DOC", color: "#2B579A", extension: upperExtension };
+  }
+  if (/ms-excel|spreadsheetml|opendocument\.spreadsheet|csv/.test(mime) || ["xls", "xlsx", "ods", "csv"].includes(ext)) {
+    return { label: "XLS", color: "#217346", extension: upperExtension };
+  }
+  if (/zip|rar|7z|tar|gzip|compressed/.test(mime) || ["zip", "rar", "7z", "tar", "gz"].includes(ext)) {
+    return { label: "ZIP", color: "#F0A30A", extension: upperExtension };
+  }
+  return {
+    label: ext ? upperExtension.slice(0, 4) : "FILE",
+    color: "#8696A0",
+    extension: upperExtension,
+  };
+}
+function _findLinkUrl(text, entities) {
+  if (!Array.isArray(entities)) return null;
+  const entity = entities.find((e) => ["url", "text_link"].includes(e.type));
+  if (!entity) return null;
+  if (entity.type === "text_link" && entity.url) return entity.url;
+  return runes(String(text || ""))
+    .slice(entity.offset, entity.offset + entity.length)
+    .join("");
+}
+function _linkDomain(url) {
+  if (!url) return "";
+  try {
+    const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(url) ? url : `http://${url}`);
+    return parsed.hostname.replace(/^www\./, "");
+  } catch (error) {
+    return String(url).replace(/^[a-z]+:\/\//i, "").split(/[/?#]/)[0];
+  }
+}
+function _parseVCard(vcard) {
+  const lines = String(vcard).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const contact = {};
+  for (const line of lines) {
+    const separatorIndex = line.indexOf(":");
+    if (separatorIndex < 0) continue;
+    const [key, ...params] = line.slice(0, separatorIndex).split(";");
+    const value = line.slice(separatorIndex + 1).trim();
+    const field = key.replace(/^item\d+\./i, "").toUpperCase();
+    if (field === "FN" && !contact.name) {
+      contact.name = value;
+    } else if (field === "N" && !contact.fallbackName) {
+      contact.fallbackName = value.split(";").reverse().filter(Boolean).join(" ").trim();
+    } else if (field === "TEL" && !contact.number) {
+      const waid = params.find((param) => /^waid=/i.test(param));
+      contact.number = waid ? waid.split("=")[1] : value;
+    }
+  }
+  return {
+    name: contact.name || contact.fallbackName || "",
+    number: contact.number || "",
+  };
+}
+function _isVideoBuffer(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return false;
+  if (buffer.toString("latin1", 4, 8) === "ftyp") {
+    const brand = buffer.toString("latin1", 8, 12);
+    return !["heic", "heix", "hevc", "mif1", "msf1", "avif", "avis"].includes(brand);
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return true;
+  return buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "AVI ";
+}
+function _parseTimemark(timemark) {
+  if (typeof timemark === "number") return timemark;
+  const parts = String(timemark || "").split(":").map(Number);
+  if (parts.length === 0 || parts.some(isNaN)) return 0;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+const TEXT_DECORATIONS = ["underline", "strikethrough", "spoiler"];
+function _drawTextDecorations(ctx, style, x, y, width, fontSize, color) {
+  if (width <= 0) return;
+  ctx.save();
+  if (style.includes("spoiler")) {
+    const top = y - fontSize * 0.85;
+    const height = fontSize * 1.1;
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, top, width, height);
+    let state = _hashValue(`${Math.round(x)}:${Math.round(y)}:${Math.round(width)}`) || 1;
+    const random = () => {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      return state / 4294967296;
+    };
+    ctx.shadowColor = color;
+    ctx.shadowBlur = fontSize * 0.1;
+    const dots = Math.ceil((width * height) / (fontSize * fontSize * 0.04));
+    for (let i = 0; i < dots; i++) {
+      ctx.globalAlpha = 0.3 + random() * 0.5;
+      ctx.beginPath();
+      ctx.arc(
+        x + random() * width,
+        top + random() * height,
+        fontSize * (0.02 + random() * 0.04),
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+  }
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(1, fontSize / 15);
+  if (style.includes("underline")) {
+    ctx.beginPath();
+    ctx.moveTo(x, y + fontSize * 0.12);
+    ctx.lineTo(x + width, y + fontSize * 0.12);
+    ctx.stroke();
+  }
+  if (style.includes("strikethrough")) {
+    ctx.beginPath();
+    ctx.moveTo(x, y - fontSize * 0.3);
+    ctx.lineTo(x + width, y - fontSize * 0.3);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+function _decorationRuns(ctx, fontSize) {
+  let run = null;
+  const keyOf = (decoration) => [...decoration].sort().join();
+  const flush = () => {
+    if (run) {
+      _drawTextDecorations(ctx, run.style, run.x, run.y, run.end - run.x, fontSize, run.color);
+    }
+    run = null;
+  };
+  return {
+    word(style, x, y, width, color) {
+      const decoration = style.filter((item) => TEXT_DECORATIONS.includes(item));
+      const key = `${keyOf(decoration)}|${color}|${y}`;
+      if (run && run.key === key) {
+        run.end = x + width;
+        return;
+      }
+      flush();
+      if (decoration.length > 0) run = { key, style: decoration, x, y, end: x + width, color };
+    },
+    space(decoration = []) {
+      if (run && keyOf(run.style) !== keyOf(decoration)) flush();
+    },
+    flush,
+  };
+}
+function _traceBubblePath(ctx, x, y, w, h, r, tail, tailSize) {
+  ctx.beginPath();
+  if (tail === "left") {
+    ctx.moveTo(x - tailSize, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.lineTo(x, y + tailSize * 1.5);
+    ctx.quadraticCurveTo(x, y + tailSize * 0.4, x - tailSize, y);
+  } else if (tail === "right") {
+    ctx.moveTo(x + w + tailSize, y);
+    ctx.quadraticCurveTo(x + w, y + tailSize * 0.4, x + w, y + tailSize * 1.5);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.lineTo(x + w + tailSize, y);
+  } else {
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+  }
+  ctx.closePath();
+}
+
 class ColorContrast {
   constructor() {
     this.brightnessThreshold = 175;
@@ -237,6 +581,10 @@ class QuoteGenerate {
     return avatarImage;
   }
   async downloadMediaImage(media) {
+    const result = await this.downloadMedia(media);
+    return result ? result.image : null;
+  }
+  async downloadMedia(media) {
     if (!media || (!media.path && !media.buffer)) {
       console.log(
         "Media tidak memiliki sumber (path/buffer), tidak dapat diunduh."
@@ -257,12 +605,127 @@ class QuoteGenerate {
         }
         imageBuffer = await fs.promises.readFile(requestedPath);
       }
-      return loadImage(imageBuffer);
+      if (media.mimeType?.startsWith("video/") || _isVideoBuffer(imageBuffer)) {
+        const frame = await this.extractVideoFrame(imageBuffer);
+        return {
+          image: frame.image,
+          isVideo: true,
+          duration: media.duration || frame.duration,
+        };
+      }
+      let image;
+      try {
+        image = await loadImage(imageBuffer);
+      } catch (error) {
+        const pngBuffer = await sharp(imageBuffer, { animated: false })
+          .png()
+          .toBuffer();
+        image = await loadImage(pngBuffer);
+      }
+      return { image, isVideo: false, duration: media.duration };
     } catch (e) {
       console.error(`Gagal memuat media dari sumber lokal.`, e);
       return null;
     }
   }
+  async extractVideoFrame(buffer) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "qc-video-"));
+    const inputPath = path.join(tempDir, "input");
+    const framePath = path.join(tempDir, "frame.png");
+    try {
+      await fs.promises.writeFile(inputPath, buffer);
+      let duration = 0;
+      await new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+          .on("codecData", (data) => {
+            duration = _parseTimemark(data.duration);
+          })
+          .outputOptions("-frames:v", "1")
+          .output(framePath)
+          .on("end", () => resolve())
+          .on("error", (error) => reject(error))
+          .run();
+      });
+      const image = await loadImage(await fs.promises.readFile(framePath));
+      return { image, duration };
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+  decodeWaveform(buffer, bars = 64) {
+    return new Promise((resolve, reject) => {
+      const sampleRate = 8000;
+      const chunks = [];
+      const input = new PassThrough();
+      const output = new PassThrough();
+      output.on("data", (chunk) => chunks.push(chunk));
+      output.on("end", () => {
+        const pcm = Buffer.concat(chunks);
+        const sampleCount = Math.floor(pcm.length / 2);
+        if (sampleCount === 0) {
+          reject(new Error("Audio tidak menghasilkan sampel PCM."));
+          return;
+        }
+        const bucketSize = Math.max(1, Math.floor(sampleCount / bars));
+        const peaks = [];
+        for (let bar = 0; bar < bars; bar++) {
+          const start = bar * bucketSize;
+          const end = Math.min(sampleCount, start + bucketSize);
+          let sum = 0;
+          for (let i = start; i < end; i++) {
+            const sample = pcm.readInt16LE(i * 2) / 32768;
+            sum += sample * sample;
+          }
+          peaks.push(end > start ? Math.sqrt(sum / (end - start)) : 0);
+        }
+        const maxPeak = Math.max(...peaks) || 1;
+        resolve({
+          peaks: peaks.map((peak) => Math.max(0.08, peak / maxPeak)),
+          duration: sampleCount / sampleRate,
+        });
+      });
+      ffmpeg(input)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(sampleRate)
+        .format("s16le")
+        .on("error", (error) => reject(error))
+        .pipe(output, { end: true });
+      input.end(buffer);
+    });
+  }
+  async downloadStickerImage(media, size) {
+    if (!media || (!media.path && !media.buffer)) {
+      console.log("Stiker tidak memiliki sumber (path/buffer), tidak dapat diunduh.");
+      return null;
+    }
+    try {
+      let stickerSource;
+      if (media.buffer) {
+        stickerSource = media.buffer;
+      } else {
+        const requestedPath = path.resolve(media.path);
+        if (!requestedPath.startsWith(ALLOWED_MEDIA_DIRECTORY)) {
+          console.error(
+            `Akses path ditolak (Path Traversal attempt): ${media.path}`
+          );
+          throw new Error("Invalid path specified.");
+        }
+        stickerSource = requestedPath;
+      }
+      const stickerBuffer = await sharp(stickerSource, { animated: false })
+        .resize(size, size, {
+          fit: "contain",
+          background: { r: 0, g: 0, b: 0, alpha: 0 },
+        })
+        .png()
+        .toBuffer();
+      return await loadImage(stickerBuffer);
+    } catch (e) {
+      console.error(`Gagal memuat stiker dari sumber lokal.`, e);
+      return null;
+    }
+  }
   hexToRgb(hex) {
     return _hexToRgb(hex);
   }
@@ -301,7 +764,10 @@ class QuoteGenerate {
     textY,
     maxWidth,
     maxHeight,
-    emojiBrand = "apple"
+    emojiBrand = "apple",
+    maxLines = null,
+    overflowLabel = null,
+    moreContent = false
   ) {
     if (!text || typeof text !== "string") return createCanvas(1, 1);
     if (maxWidth > 10000) maxWidth = 10000;
@@ -375,7 +841,11 @@ class QuoteGenerate {
         if (/<br>|\n|\r/.test(char)) {
           styledWords.push({ word: "\n", style: [] });
         } else if (/\s/.test(char)) {
-          styledWords.push({ word: " ", style: [] });
+          styledWords.push({
+            word: " ",
+            style: [],
+            decoration: JSON.parse(newStyle).filter((item) => TEXT_DECORATIONS.includes(item)),
+          });
         } else {
           currentWord += char;
         }
@@ -399,9 +869,107 @@ class QuoteGenerate {
     if (currentIndex < text.length) {
       processPlainText(text.substring(currentIndex), currentIndex);
     }
+    const wordFont = (style) => {
+      let fontType = "";
+      let fontName = "Noto Sans";
+      let fillStyle = fontColor;
+      if (style.includes("bold")) fontType += "bold ";
+      if (style.includes("italic")) fontType += "italic ";
+      if (style.includes("monospace")) fontName = "NotoSansMono";
+      if (style.includes("mention") && style.includes("monospace")) {
+        fillStyle = "#005740";
+      } else if (style.includes("mention")) {
+        fillStyle = "#007AFF";
+      } else if (style.includes("monospace")) {
+        fillStyle = "#008069";
+      }
+      return { font: `${fontType}${fontSize}px "${fontName}"`, fillStyle };
+    };
+    ctx.font = `${fontSize}px "Noto Sans"`;
+    const overflowWidth =
+      ctx.measureText("…").width +
+      (overflowLabel ? ctx.measureText(` ${overflowLabel}`).width : 0);
     let lineX = textX;
     let lineY = textY;
     let textWidth = 0;
+    let lineCount = 1;
+    let clamped = false;
+    let lastLineLimit = null;
+    let trailingSpaceWidth = 0;
+    const decorations = _decorationRuns(ctx, fontSize);
+    const contentFrom = (index) =>
+      moreContent ||
+      styledWords.slice(index).some((word) => word.emoji || word.word.trim());
+    const restFitsLine = (index) => {
+      let restX = lineX;
+      for (let i = index; i < styledWords.length; i++) {
+        const restWord = styledWords[i];
+        if (restWord.word.match(/\n|\r/)) return !contentFrom(i + 1);
+        ctx.font = wordFont(restWord.style).font;
+        restX += restWord.emoji ? fontSize : ctx.measureText(restWord.word).width;
+        if (restX > maxWidth) return false;
+      }
+      return !moreContent;
+    };
+    const lineLimit = () => (lastLineLimit !== null ? lastLineLimit : maxWidth);
+    const reserveLastLine = (index) => {
+      if (maxLines && lineCount >= maxLines && lastLineLimit === null) {
+        lastLineLimit = restFitsLine(index) ? maxWidth : maxWidth - overflowWidth;
+      }
+    };
+    let lineIndent = 0;
+    let quoteParagraph = false;
+    const drawQuoteBar = () => {
+      if (!quoteParagraph || lineY > maxHeight) return;
+      ctx.save();
+      ctx.globalAlpha = 0.35;
+      ctx.fillStyle = fontColor;
+      ctx.fillRect(textX, lineY - fontSize, Math.max(2, fontSize * 0.14), lineHeight);
+      ctx.restore();
+    };
+    const startParagraph = (index) => {
+      const style = styledWords[index]?.style || [];
+      quoteParagraph = style.includes("blockquote");
+      lineIndent = 0;
+      lineX = textX;
+      if (quoteParagraph) {
+        lineIndent = fontSize * 0.75;
+        lineX = textX + lineIndent;
+        drawQuoteBar();
+      } else if (style.includes("list_item")) {
+        ctx.font = `${fontSize}px "Noto Sans"`;
+        lineX = textX + fontSize * 0.5;
+        lineIndent = fontSize * 0.5 + ctx.measureText(`${styledWords[index].word} `).width;
+      }
+    };
+    const drawOverflow = () => {
+      lineX -= trailingSpaceWidth;
+      ctx.fillStyle = fontColor;
+      ctx.font = `${fontSize}px "Noto Sans"`;
+      ctx.fillText("…", lineX, lineY);
+      lineX += ctx.measureText("…").width;
+      if (overflowLabel) {
+        ctx.fillStyle = "#007AFF";
+        ctx.fillText(` ${overflowLabel}`, lineX, lineY);
+        lineX += ctx.measureText(` ${overflowLabel}`).width;
+      }
+      if (textWidth < lineX) textWidth = lineX;
+      clamped = true;
+    };
+    const nextLine = (hasMore = true) => {
+      if (maxLines && lineCount >= maxLines) {
+        if (hasMore) drawOverflow();
+        return false;
+      }
+      if (textWidth < lineX) textWidth = lineX;
+      lineX = textX + lineIndent;
+      lineY += lineHeight;
+      lineCount++;
+      trailingSpaceWidth = 0;
+      drawQuoteBar();
+      return true;
+    };
+    startParagraph(0);
     for (let index = 0; index < styledWords.length; index++) {
       const styledWord = styledWords[index];
       let emojiImage;
@@ -415,56 +983,50 @@ class QuoteGenerate {
           );
         }
       }
-      let fontType = "";
-      let fontName = "Noto Sans";
-      let fillStyle = fontColor;
-      if (styledWord.style.includes("bold")) fontType += "bold ";
-      if (styledWord.style.includes("italic")) fontType += "italic ";
-      if (styledWord.style.includes("monospace")) fontName = "NotoSansMono";
-      if (
-        styledWord.style.includes("mention") &&
-        styledWord.style.includes("monospace")
-      ) {
-        fillStyle = "#005740";
-      } else if (styledWord.style.includes("mention")) {
-        fillStyle = "#007AFF";
-      } else if (styledWord.style.includes("monospace")) {
-        fillStyle = "#008069";
-      } else {
-        fillStyle = fontColor;
-      }
-      ctx.font = `${fontType}${fontSize}px "${fontName}"`;
+      reserveLastLine(index);
+      const { font, fillStyle } = wordFont(styledWord.style);
+      ctx.font = font;
       ctx.fillStyle = fillStyle;
       const isNewline = styledWord.word.match(/\n|\r/);
+      const isSpoiler = styledWord.style.includes("spoiler");
       const wordWidth = styledWord.emoji
         ? fontSize
         : ctx.measureText(styledWord.word).width;
       if (isNewline) {
-        if (textWidth < lineX) textWidth = lineX;
-        lineX = textX;
-        lineY += lineHeight;
+        if (!nextLine(contentFrom(index + 1))) break;
+        startParagraph(index + 1);
         continue;
-      } else if (!styledWord.emoji && wordWidth > maxWidth) {
+      }
+      const isText = !styledWord.emoji && styledWord.word !== " ";
+      const splitWord = isText && wordWidth > maxWidth;
+      if (!splitWord && lineX + wordWidth > lineLimit() && styledWord.word !== " ") {
+        if (!nextLine()) break;
+        reserveLastLine(index);
+        ctx.font = font;
+        ctx.fillStyle = fillStyle;
+      }
+      if (splitWord || (isText && lineX + wordWidth > lineLimit())) {
         for (let ci = 0; ci < styledWord.word.length; ci++) {
           const c = styledWord.word[ci];
           const charWidth = ctx.measureText(c).width;
-          if (lineX + charWidth > maxWidth) {
-            if (textWidth < lineX) textWidth = lineX;
-            lineX = textX;
-            lineY += lineHeight;
+          if (lineX + charWidth > lineLimit()) {
+            if (!nextLine()) break;
+            if (maxLines && lineCount >= maxLines && lastLineLimit === null) {
+              lastLineLimit = maxWidth - overflowWidth;
+            }
+            ctx.font = font;
+            ctx.fillStyle = fillStyle;
           }
-          ctx.fillText(c, lineX, lineY);
+          if (!isSpoiler) ctx.fillText(c, lineX, lineY);
+          decorations.word(styledWord.style, lineX, lineY, charWidth, fillStyle);
           lineX += charWidth;
         }
+        trailingSpaceWidth = 0;
+        if (clamped) break;
         continue;
       }
-      if (lineX + wordWidth > maxWidth && styledWord.word !== " ") {
-        if (textWidth < lineX) textWidth = lineX;
-        lineX = textX;
-        lineY += lineHeight;
-      }
       if (lineY > maxHeight) break;
-      if (emojiImage) {
+      if (emojiImage && !isSpoiler) {
         const emojiYOffset = fontSize * 0.85;
         ctx.drawImage(
           emojiImage,
@@ -473,16 +1035,24 @@ class QuoteGenerate {
           fontSize,
           fontSize
         );
-      } else if (styledWord.word !== " ") {
+      } else if (styledWord.word !== " " && !isSpoiler) {
         ctx.fillText(styledWord.word, lineX, lineY);
       }
-      lineX += styledWord.emoji
-        ? fontSize
-        : ctx.measureText(styledWord.word).width;
+      if (styledWord.word === " ") {
+        decorations.space(styledWord.decoration);
+      } else {
+        decorations.word(styledWord.style, lineX, lineY, wordWidth, fillStyle);
+      }
+      lineX += wordWidth;
+      trailingSpaceWidth = styledWord.word === " " ? wordWidth : 0;
       if (textWidth < lineX) {
         textWidth = lineX;
       }
     }
+    decorations.flush();
+    if (moreContent && !clamped && maxLines && lineCount >= maxLines && lineY <= maxHeight) {
+      drawOverflow();
+    }
     const finalHeight = lineY + lineHeight;
     const canvasResize = createCanvas(
       Math.ceil(textWidth),
@@ -490,8 +1060,257 @@ class QuoteGenerate {
     );
     const canvasResizeCtx = canvasResize.getContext("2d");
     canvasResizeCtx.drawImage(canvas, 0, 0);
+    canvasResize.lineCount = lineCount;
+    canvasResize.clamped = clamped;
     return canvasResize;
   }
+  drawCodeBlock(code, language, fontSize, fontColor, maxWidth, maxLines = null) {
+    const darkTheme = this.lightOrDark(fontColor) === "light";
+    const theme = CODE_THEMES[darkTheme ? "dark" : "light"];
+    const codeFontSize = fontSize * 0.85;
+    const lineHeight = codeFontSize * 1.4;
+    const padding = fontSize * 0.5;
+    const contentWidth = Math.max(codeFontSize, maxWidth - padding * 2);
+    const measureCanvas = createCanvas(1, 1);
+    const measureCtx = measureCanvas.getContext("2d");
+    measureCtx.font = `${codeFontSize}px "NotoSansMono"`;
+    const visualLines = [];
+    for (const line of tokenizeCode(code, language)) {
+      let column = 0;
+      let lineX = 0;
+      let visualLine = [];
+      for (const token of line) {
+        let text = "";
+        for (const char of runes(token.text)) {
+          if (char === "\t") {
+            const spaces = 4 - (column % 4);
+            text += " ".repeat(spaces);
+            column += spaces;
+          } else {
+            text += char;
+            column++;
+          }
+        }
+        let chunk = "";
+        for (const char of runes(text)) {
+          const charWidth = measureCtx.measureText(char).width;
+          if (lineX + charWidth > contentWidth && lineX > 0) {
+            if (chunk) visualLine.push({ text: chunk, type: token.type });
+            visualLines.push(visualLine);
+            visualLine = [];
+            chunk = "";
+            lineX = 0;
+          }
+          chunk += char;
+          lineX += charWidth;
+        }
+        if (chunk) visualLine.push({ text: chunk, type: token.type });
+      }
+      visualLines.push(visualLine);
+    }
+    if (maxLines && visualLines.length > maxLines) {
+      visualLines.length = maxLines;
+      visualLines[maxLines - 1].push({ text: "…", type: "plain" });
+    }
+    const lineWidths = visualLines.map((line) =>
+      line.reduce((total, token) => total + measureCtx.measureText(token.text).width, 0)
+    );
+    const blockWidth = Math.min(
+      maxWidth,
+      Math.ceil(Math.max(codeFontSize, ...lineWidths) + padding * 2)
+    );
+    const blockHeight = Math.ceil(visualLines.length * lineHeight + padding * 2);
+    const canvas = createCanvas(blockWidth, blockHeight);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(
+      this.drawRoundRect(
+        darkTheme ? "rgba(255, 255, 255, 0.08)" : "rgba(0, 0, 0, 0.06)",
+        blockWidth,
+        blockHeight,
+        fontSize * 0.35
+      ),
+      0,
+      0
+    );
+    ctx.font = `${codeFontSize}px "NotoSansMono"`;
+    visualLines.forEach((line, index) => {
+      let drawX = padding;
+      const drawY = padding + index * lineHeight + codeFontSize;
+      for (const token of line) {
+        ctx.fillStyle = theme[token.type] || fontColor;
+        ctx.fillText(token.text, drawX, drawY);
+        drawX += ctx.measureText(token.text).width;
+      }
+    });
+    canvas.lineCount = visualLines.length;
+    return canvas;
+  }
+  async drawMessageText(
+    text,
+    entities,
+    fontSize,
+    fontColor,
+    maxWidth,
+    maxHeight,
+    emojiBrand = "apple",
+    maxLines = null,
+    overflowLabel = null
+  ) {
+    const codeEntities = Array.isArray(entities)
+      ? entities
+          .filter((entity) => entity.type === "pre")
+          .sort((a, b) => a.offset - b.offset)
+      : [];
+    if (!text || typeof text !== "string" || codeEntities.length === 0) {
+      return this.drawMultilineText(
+        text,
+        entities,
+        fontSize,
+        fontColor,
+        0,
+        fontSize,
+        maxWidth,
+        maxHeight,
+        emojiBrand,
+        maxLines,
+        overflowLabel
+      );
+    }
+    const chars = runes(text);
+    const parts = [];
+    const pushTextPart = (start, end) => {
+      if (chars[start] === "\n") start++;
+      if (end > start && chars[end - 1] === "\n") end--;
+      const partText = chars.slice(start, end).join("");
+      if (!partText.trim()) return;
+      const partEntities = entities
+        .filter(
+          (entity) =>
+            entity.type !== "pre" &&
+            entity.offset < end &&
+            entity.offset + entity.length > start
+        )
+        .map((entity) => {
+          const offset = Math.max(entity.offset, start);
+          return {
+            ...entity,
+            offset: offset - start,
+            length: Math.min(entity.offset + entity.length, end) - offset,
+          };
+        });
+      parts.push({ type: "text", text: partText, entities: partEntities });
+    };
+    let position = 0;
+    for (const entity of codeEntities) {
+      if (entity.offset < position) continue;
+      pushTextPart(position, entity.offset);
+      parts.push({
+        type: "code",
+        text: chars.slice(entity.offset, entity.offset + entity.length).join(""),
+        language: entity.language,
+      });
+      position = entity.offset + entity.length;
+    }
+    pushTextPart(position, chars.length);
+    const canvases = [];
+    let partY = 0;
+    let canvasWidth = 1;
+    let canvasHeight = 1;
+    let remainingLines = maxLines || Infinity;
+    let overflowed = false;
+    let labelDrawn = false;
+    for (let index = 0; index < parts.length; index++) {
+      const part = parts[index];
+      if (remainingLines <= 0) {
+        overflowed = true;
+        break;
+      }
+      const isLastPart = index === parts.length - 1;
+      const partMaxLines = isFinite(remainingLines) ? remainingLines : null;
+      let partCanvas;
+      if (part.type === "code") {
+        partCanvas = this.drawCodeBlock(
+          part.text,
+          part.language,
+          fontSize,
+          fontColor,
+          maxWidth
+        );
+        if (
+          partMaxLines &&
+          (partCanvas.lineCount > partMaxLines ||
+            (partCanvas.lineCount === partMaxLines && !isLastPart))
+        ) {
+          overflowed = true;
+          const codeLines = overflowLabel ? partMaxLines - 1 : partMaxLines;
+          if (codeLines < 1) break;
+          partCanvas = this.drawCodeBlock(
+            part.text,
+            part.language,
+            fontSize,
+            fontColor,
+            maxWidth,
+            codeLines
+          );
+        }
+        remainingLines -= partCanvas.lineCount;
+        if (canvases.length > 0) partY += fontSize * 0.3;
+        canvases.push({ canvas: partCanvas, y: partY });
+        canvasHeight = partY + partCanvas.height + fontSize * 0.9;
+        partY += partCanvas.height + fontSize * 0.3;
+      } else {
+        partCanvas = await this.drawMultilineText(
+          part.text,
+          part.entities,
+          fontSize,
+          fontColor,
+          0,
+          fontSize,
+          maxWidth,
+          maxHeight,
+          emojiBrand,
+          partMaxLines,
+          overflowLabel,
+          !isLastPart
+        );
+        remainingLines -= partCanvas.lineCount;
+        if (partCanvas.clamped) {
+          overflowed = true;
+          labelDrawn = true;
+        }
+        canvases.push({ canvas: partCanvas, y: partY });
+        canvasHeight = partY + partCanvas.height;
+        partY += partCanvas.height - fontSize * 0.7;
+      }
+      canvasWidth = Math.max(canvasWidth, partCanvas.width);
+      if (overflowed || partY > maxHeight) break;
+    }
+    if (overflowed && overflowLabel && !labelDrawn) {
+      const labelCanvas = await this.drawMultilineText(
+        overflowLabel,
+        "mention",
+        fontSize,
+        fontColor,
+        0,
+        fontSize,
+        maxWidth,
+        maxHeight,
+        emojiBrand
+      );
+      canvases.push({ canvas: labelCanvas, y: partY });
+      canvasHeight = partY + labelCanvas.height;
+      canvasWidth = Math.max(canvasWidth, labelCanvas.width);
+    }
+    const canvas = createCanvas(
+      Math.ceil(canvasWidth),
+      Math.ceil(Math.min(canvasHeight, maxHeight + fontSize))
+    );
+    const ctx = canvas.getContext("2d");
+    for (const part of canvases) {
+      ctx.drawImage(part.canvas, 0, part.y);
+    }
+    return canvas;
+  }
   async drawTruncatedText(
     text,
     entities,
@@ -556,7 +1375,11 @@ class QuoteGenerate {
           currentStyle = newStyle;
         }
         if (/\s/.test(char)) {
-          styledWords.push({ word: " ", style: [] });
+          styledWords.push({
+            word: " ",
+            style: [],
+            decoration: JSON.parse(newStyle).filter((item) => TEXT_DECORATIONS.includes(item)),
+          });
         } else {
           currentWord += char;
         }
@@ -637,6 +1460,7 @@ class QuoteGenerate {
       truncated = true;
     }
     drawX = 0;
+    const decorations = _decorationRuns(ctx, fontSize);
     for (const styledWord of visibleWords) {
       let fontType = "";
       let fontName = "Noto Sans";
@@ -652,7 +1476,11 @@ class QuoteGenerate {
       }
       ctx.font = `${fontType}${fontSize}px "${fontName}"`;
       ctx.fillStyle = fillStyle;
-      if (styledWord.emoji) {
+      const isSpoiler = styledWord.style.includes("spoiler");
+      const wordWidth = styledWord.emoji
+        ? fontSize
+        : ctx.measureText(styledWord.word).width;
+      if (styledWord.emoji && !isSpoiler) {
         const emojiImageBase = emojiImageJson[styledWord.emoji.code] ||
           fallbackEmojiImageJson[styledWord.emoji.code];
         if (emojiImageBase) {
@@ -660,12 +1488,17 @@ class QuoteGenerate {
           const emojiYOffset = fontSize * 0.85;
           ctx.drawImage(emojiImage, drawX, fontSize - emojiYOffset, fontSize, fontSize);
         }
-        drawX += fontSize;
-      } else {
+      } else if (!styledWord.emoji && !isSpoiler) {
         ctx.fillText(styledWord.word, drawX, fontSize);
-        drawX += ctx.measureText(styledWord.word).width;
       }
+      if (styledWord.word === " ") {
+        decorations.space(styledWord.decoration);
+      } else {
+        decorations.word(styledWord.style, drawX, fontSize, wordWidth, fillStyle);
+      }
+      drawX += wordWidth;
     }
+    decorations.flush();
     if (truncated) {
       ctx.fillStyle = fontColor;
       ctx.font = `${fontSize}px "Noto Sans"`;
@@ -673,42 +1506,32 @@ class QuoteGenerate {
     }
     return canvas;
   }
-  drawRoundRect(color, w, h, r) {
-    const x = 0;
+  drawRoundRect(color, w, h, r, tail = null, tailSize = 0) {
+    if (!tail) tailSize = 0;
+    const x = tail === "left" ? tailSize : 0;
     const y = 0;
-    const canvas = createCanvas(w, h);
+    const canvas = createCanvas(w + tailSize, h);
     const canvasCtx = canvas.getContext("2d");
     canvasCtx.fillStyle = color;
     if (w < 2 * r) r = w / 2;
     if (h < 2 * r) r = h / 2;
-    canvasCtx.beginPath();
-    canvasCtx.moveTo(x + r, y);
-    canvasCtx.arcTo(x + w, y, x + w, y + h, r);
-    canvasCtx.arcTo(x + w, y + h, x, y + h, r);
-    canvasCtx.arcTo(x, y + h, x, y, r);
-    canvasCtx.arcTo(x, y, x + w, y, r);
-    canvasCtx.closePath();
+    _traceBubblePath(canvasCtx, x, y, w, h, r, tail, tailSize);
     canvasCtx.fill();
     return canvas;
   }
-  drawGradientRoundRect(colorOne, colorTwo, w, h, r) {
-    const x = 0;
+  drawGradientRoundRect(colorOne, colorTwo, w, h, r, tail = null, tailSize = 0) {
+    if (!tail) tailSize = 0;
+    const x = tail === "left" ? tailSize : 0;
     const y = 0;
-    const canvas = createCanvas(w, h);
+    const canvas = createCanvas(w + tailSize, h);
     const canvasCtx = canvas.getContext("2d");
-    const gradient = canvasCtx.createLinearGradient(0, 0, w, h);
+    const gradient = canvasCtx.createLinearGradient(0, 0, w + tailSize, h);
     gradient.addColorStop(0, colorOne);
     gradient.addColorStop(1, colorTwo);
     canvasCtx.fillStyle = gradient;
     if (w < 2 * r) r = w / 2;
     if (h < 2 * r) r = h / 2;
-    canvasCtx.beginPath();
-    canvasCtx.moveTo(x + r, y);
-    canvasCtx.arcTo(x + w, y, x + w, y + h, r);
-    canvasCtx.arcTo(x + w, y + h, x, y + h, r);
-    canvasCtx.arcTo(x, y + h, x, y, r);
-    canvasCtx.arcTo(x, y, x + w, y, r);
-    canvasCtx.closePath();
+    _traceBubblePath(canvasCtx, x, y, w, h, r, tail, tailSize);
     canvasCtx.fill();
     return canvas;
   }
@@ -795,34 +1618,1112 @@ class QuoteGenerate {
     }
     return null;
   }
-  async drawQuote(
-    scale,
-    backgroundColorOne,
-    backgroundColorTwo,
-    avatar,
-    replyName,
-    replyNameColor,
-    finalReplyTextCanvas,
-    replyNumber,
-    name,
-    number,
-    text,
-    media,
-    mediaType,
-    finalContentWidth,
-    replyMedia,
-    replyMediaType,
-    replyThumbnailSize,
-    fromTime,
-    emojiBrand = "apple",
-    gap
-  ) {
-    const avatarPosX = 0;
-    const avatarPosY = 5 * scale;
+  drawStatusIcon(status, size) {
+    const iconWidths = { pending: 1, sent: 0.8, delivered: 1.15, read: 1.15 };
+    if (!iconWidths[status]) return null;
+    const canvas = createCanvas(
+      Math.ceil(size * iconWidths[status]),
+      Math.ceil(size)
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.strokeStyle = status === "read" ? "#53BDEB" : "#888";
+    ctx.lineWidth = size * 0.11;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    if (status === "pending") {
+      const center = size / 2;
+      ctx.arc(center, center, size * 0.4, 0, Math.PI * 2);
+      ctx.moveTo(center, center);
+      ctx.lineTo(center, center - size * 0.25);
+      ctx.moveTo(center, center);
+      ctx.lineTo(center + size * 0.18, center);
+    } else {
+      ctx.moveTo(size * 0.08, size * 0.55);
+      ctx.lineTo(size * 0.3, size * 0.78);
+      ctx.lineTo(size * 0.72, size * 0.22);
+      if (status !== "sent") {
+        ctx.moveTo(size * 0.47, size * 0.71);
+        ctx.lineTo(size * 0.54, size * 0.78);
+        ctx.lineTo(size * 1.05, size * 0.22);
+      }
+    }
+    ctx.stroke();
+    return canvas;
+  }
+  drawMessageMeta(fromTime, status, scale, editedLabel = null) {
+    const timeFontSize = 15 * scale;
+    const statusIcon = status
+      ? this.drawStatusIcon(status, timeFontSize * 1.1)
+      : null;
+    if (!fromTime && !statusIcon && !editedLabel) return null;
+    const font = `bold ${timeFontSize}px "Noto Sans"`;
+    const editedFont = `${timeFontSize}px "Noto Sans"`;
+    const measureCtx = createCanvas(0, 0).getContext("2d");
+    measureCtx.font = editedFont;
+    const editedWidth = editedLabel
+      ? measureCtx.measureText(editedLabel).width + 5 * scale
+      : 0;
+    measureCtx.font = font;
+    const timeWidth = fromTime ? measureCtx.measureText(fromTime).width : 0;
+    const iconGap = fromTime && statusIcon ? 4 * scale : 0;
+    const canvas = createCanvas(
+      Math.ceil(editedWidth + timeWidth + iconGap + (statusIcon?.width || 0)),
+      Math.ceil(timeFontSize * 1.4)
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#888";
+    ctx.textBaseline = "bottom";
+    if (editedLabel) {
+      ctx.font = editedFont;
+      ctx.fillText(editedLabel, 0, canvas.height);
+    }
+    if (fromTime) {
+      ctx.font = font;
+      ctx.fillText(fromTime, editedWidth, canvas.height);
+    }
+    if (statusIcon) {
+      ctx.drawImage(
+        statusIcon,
+        editedWidth + timeWidth + iconGap,
+        canvas.height - statusIcon.height - timeFontSize * 0.2
+      );
+    }
+    return canvas;
+  }
+  async drawForwardedLabel(label, many, scale, emojiBrand = "apple") {
+    const fontSize = 20 * scale;
+    const iconSize = fontSize * 0.9;
+    const iconGap = 6 * scale;
+    const arrowCount = many ? 2 : 1;
+    const arrowStep = iconSize * 0.45;
+    const iconWidth = iconSize + arrowStep * (arrowCount - 1);
+    const textCanvas = await this.drawMultilineText(
+      label,
+      "italic",
+      fontSize,
+      "#888",
+      0,
+      fontSize,
+      400 * scale,
+      fontSize,
+      emojiBrand
+    );
+    const canvas = createCanvas(
+      Math.ceil(iconWidth + iconGap + textCanvas.width),
+      Math.ceil(fontSize * 1.35)
+    );
+    const ctx = canvas.getContext("2d");
+    const iconY = fontSize - iconSize * 0.85;
+    ctx.fillStyle = "#888";
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = iconSize * 0.14;
+    ctx.lineCap = "round";
+    for (let index = 0; index < arrowCount; index++) {
+      const x = index * arrowStep;
+      ctx.beginPath();
+      ctx.moveTo(x + iconSize * 0.1, iconY + iconSize * 0.9);
+      ctx.quadraticCurveTo(
+        x + iconSize * 0.15,
+        iconY + iconSize * 0.45,
+        x + iconSize * 0.6,
+        iconY + iconSize * 0.45
+      );
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(x + iconSize * 0.55, iconY + iconSize * 0.15);
+      ctx.lineTo(x + iconSize * 0.95, iconY + iconSize * 0.45);
+      ctx.lineTo(x + iconSize * 0.55, iconY + iconSize * 0.75);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.drawImage(textCanvas, iconWidth + iconGap, 0);
+    return canvas;
+  }
+  async drawDeletedNotice(label, fontSize, emojiBrand = "apple") {
+    const iconGap = fontSize * 0.3;
+    const textCanvas = await this.drawMultilineText(
+      label,
+      "italic",
+      fontSize,
+      "#888",
+      0,
+      fontSize,
+      fontSize * 30,
+      fontSize,
+      emojiBrand
+    );
+    const canvas = createCanvas(
+      Math.ceil(fontSize + iconGap + textCanvas.width),
+      textCanvas.height
+    );
+    const ctx = canvas.getContext("2d");
+    const radius = fontSize * 0.4;
+    const centerX = fontSize / 2;
+    const centerY = fontSize - fontSize * 0.85 + fontSize / 2;
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = fontSize * 0.09;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.moveTo(
+      centerX - radius * Math.SQRT1_2,
+      centerY - radius * Math.SQRT1_2
+    );
+    ctx.lineTo(
+      centerX + radius * Math.SQRT1_2,
+      centerY + radius * Math.SQRT1_2
+    );
+    ctx.stroke();
+    ctx.drawImage(textCanvas, fontSize + iconGap, 0);
+    return canvas;
+  }
+  async drawDateSeparator(text, backgroundColor, scale, emojiBrand = "apple") {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const fontSize = 18 * scale;
+    const paddingX = 14 * scale;
+    const textCanvas = await this.drawMultilineText(
+      String(text),
+      null,
+      fontSize,
+      isLight ? "#54656F" : "#8696A0",
+      0,
+      fontSize,
+      400 * scale,
+      fontSize,
+      emojiBrand
+    );
+    const pillHeight = fontSize * 1.8;
+    const pill = this.drawRoundRect(
+      isLight ? "#FFFFFF" : "#182229",
+      textCanvas.width + paddingX * 2,
+      pillHeight,
+      pillHeight / 2
+    );
+    const canvas = createCanvas(pill.width, pill.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(pill, 0, 0);
+    ctx.drawImage(textCanvas, paddingX, pillHeight / 2 - fontSize * 0.64);
+    return canvas;
+  }
+  drawTypingBubble(scale, backgroundColor) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const avatarColumn = 60 * scale;
+    const tailSize = 8 * scale;
+    const bubbleWidth = 76 * scale;
+    const bubbleHeight = 44 * scale;
+    const bubble = this.drawRoundRect(
+      backgroundColor,
+      bubbleWidth,
+      bubbleHeight,
+      18 * scale,
+      "left",
+      tailSize
+    );
+    const canvas = createCanvas(avatarColumn + bubble.width, bubbleHeight);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(bubble, avatarColumn, 0);
+    const centerX = avatarColumn + tailSize + bubbleWidth / 2;
+    ctx.fillStyle = isLight ? "#8696A0" : "#AEBAC1";
+    for (let dot = -1; dot <= 1; dot++) {
+      ctx.globalAlpha = 0.5 + (dot + 1) * 0.25;
+      ctx.beginPath();
+      ctx.arc(centerX + dot * 14 * scale, bubbleHeight / 2, 5 * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+    return canvas;
+  }
+  async drawReactions(reactions, backgroundColor, scale, emojiBrand = "apple") {
+    const validReactions = reactions
+      .filter((reaction) => reaction && reaction.emoji)
+      .sort((a, b) => (b.count || 1) - (a.count || 1));
+    if (validReactions.length === 0) return null;
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const fontSize = 20 * scale;
+    const paddingX = 8 * scale;
+    const borderWidth = 2 * scale;
+    const totalCount = validReactions.reduce(
+      (total, reaction) => total + (reaction.count || 1),
+      0
+    );
+    const emojis = validReactions
+      .slice(0, 3)
+      .map((reaction) => reaction.emoji)
+      .join("");
+    const reactionText = totalCount > 1 ? `${emojis} ${totalCount}` : emojis;
+    const textCanvas = await this.drawMultilineText(
+      reactionText,
+      null,
+      fontSize,
+      isLight ? "#54656F" : "#8696A0",
+      0,
+      fontSize,
+      400 * scale,
+      fontSize,
+      emojiBrand
+    );
+    const pillHeight = fontSize * 1.6;
+    const pillWidth = textCanvas.width + paddingX * 2;
+    const border = this.drawRoundRect(
+      isLight ? "#E9EDEF" : "#111B21",
+      pillWidth + borderWidth * 2,
+      pillHeight + borderWidth * 2,
+      pillHeight / 2 + borderWidth
+    );
+    const pill = this.drawRoundRect(
+      isLight ? "#FFFFFF" : "#202C33",
+      pillWidth,
+      pillHeight,
+      pillHeight / 2
+    );
+    const canvas = createCanvas(border.width, border.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(border, 0, 0);
+    ctx.drawImage(pill, borderWidth, borderWidth);
+    ctx.drawImage(
+      textCanvas,
+      borderWidth + paddingX,
+      borderWidth + pillHeight / 2 - fontSize * 0.64
+    );
+    return canvas;
+  }
+  drawVoiceNote(waveform, duration, avatar, width, scale, backgroundColor, avatarOnRight = false) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const height = 64 * scale;
+    const avatarSize = 52 * scale;
+    const playSize = 22 * scale;
+    const barWidth = 3 * scale;
+    const barGap = 2 * scale;
+    const mutedColor = isLight ? "#8696A0" : "#AEBAC1";
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    const avatarX = avatarOnRight ? width - avatarSize : 0;
+    const avatarY = (height - avatarSize) / 2 - 4 * scale;
+    if (avatar) {
+      ctx.drawImage(avatar, avatarX, avatarY, avatarSize, avatarSize);
+    }
+    const badgeRadius = 10 * scale;
+    const badgeX = avatarOnRight ? avatarX + badgeRadius : avatarX + avatarSize - badgeRadius;
+    const badgeY = avatarY + avatarSize - badgeRadius;
+    ctx.fillStyle = backgroundColor;
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, badgeRadius, 0, Math.PI * 2);
+    ctx.fill();
+    const micColor = "#25D366";
+    ctx.fillStyle = micColor;
+    ctx.strokeStyle = micColor;
+    ctx.lineWidth = 1.6 * scale;
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY - 3.5 * scale, 2.6 * scale, Math.PI, 0);
+    ctx.lineTo(badgeX + 2.6 * scale, badgeY + 0.5 * scale);
+    ctx.arc(badgeX, badgeY + 0.5 * scale, 2.6 * scale, 0, Math.PI);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, 5 * scale, 0.15 * Math.PI, 0.85 * Math.PI);
+    ctx.moveTo(badgeX, badgeY + 5 * scale);
+    ctx.lineTo(badgeX, badgeY + 7.5 * scale);
+    ctx.stroke();
+    const contentStart = avatarOnRight ? 4 * scale : avatarSize + 14 * scale;
+    const contentEnd = avatarOnRight ? width - avatarSize - 14 * scale : width - 4 * scale;
+    const centerY = avatarY + avatarSize / 2;
+    ctx.fillStyle = isLight ? "#54656F" : "#D1D7DB";
+    ctx.beginPath();
+    ctx.moveTo(contentStart, centerY - playSize / 2);
+    ctx.lineTo(contentStart + playSize * 0.85, centerY);
+    ctx.lineTo(contentStart, centerY + playSize / 2);
+    ctx.closePath();
+    ctx.fill();
+    const waveStart = contentStart + playSize + 14 * scale;
+    const waveWidth = Math.max(barWidth, contentEnd - waveStart);
+    const barCount = Math.max(1, Math.floor((waveWidth + barGap) / (barWidth + barGap)));
+    const peaks = _resamplePeaks(waveform, barCount);
+    const maxBarHeight = 28 * scale;
+    ctx.fillStyle = mutedColor;
+    for (let i = 0; i < peaks.length; i++) {
+      const barHeight = Math.max(barWidth, peaks[i] * maxBarHeight);
+      ctx.fillRect(
+        waveStart + i * (barWidth + barGap),
+        centerY - barHeight / 2,
+        barWidth,
+        barHeight
+      );
+    }
+    ctx.fillStyle = "#34B7F1";
+    ctx.beginPath();
+    ctx.arc(waveStart + 6 * scale, centerY, 6 * scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = `${14 * scale}px "Noto Sans"`;
+    ctx.fillStyle = mutedColor;
+    ctx.textBaseline = "bottom";
+    ctx.fillText(_formatDuration(duration), waveStart, height);
+    return canvas;
+  }
+  async drawDocumentCard(
+    document,
+    thumbnail,
+    width,
+    scale,
+    backgroundColor,
+    textColor,
+    locale,
+    emojiBrand = "apple"
+  ) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const padding = 10 * scale;
+    const iconWidth = 34 * scale;
+    const iconHeight = 42 * scale;
+    const rowHeight = iconHeight + padding * 2;
+    const fileName = document.fileName || "Document";
+    const type = _documentType(fileName, document.mimeType);
+    let thumbnailCanvas = null;
+    if (thumbnail) {
+      const thumbnailHeight = Math.round(width * 0.45);
+      const tempCanvas = createCanvas(thumbnail.width, thumbnail.height);
+      tempCanvas.getContext("2d").drawImage(thumbnail, 0, 0);
+      const resizedBuffer = await sharp(tempCanvas.toBuffer("image/png"))
+        .resize(Math.round(width), thumbnailHeight, { fit: "cover" })
+        .png()
+        .toBuffer();
+      thumbnailCanvas = this.roundImage(await loadImage(resizedBuffer), 10 * scale);
+    }
+    const thumbnailHeight = thumbnailCanvas ? thumbnailCanvas.height : 0;
+    const canvas = createCanvas(width, thumbnailHeight + rowHeight);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(
+      this.drawRoundRect(
+        _colorLuminance(backgroundColor, isLight ? -0.05 : -0.25),
+        width,
+        canvas.height,
+        10 * scale
+      ),
+      0,
+      0
+    );
+    if (thumbnailCanvas) {
+      ctx.drawImage(thumbnailCanvas, 0, 0);
+    }
+    const iconX = padding;
+    const iconY = thumbnailHeight + padding;
+    const fold = iconWidth * 0.3;
+    ctx.fillStyle = type.color;
+    ctx.beginPath();
+    ctx.moveTo(iconX, iconY);
+    ctx.lineTo(iconX + iconWidth - fold, iconY);
+    ctx.lineTo(iconX + iconWidth, iconY + fold);
+    ctx.lineTo(iconX + iconWidth, iconY + iconHeight);
+    ctx.lineTo(iconX, iconY + iconHeight);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.45)";
+    ctx.beginPath();
+    ctx.moveTo(iconX + iconWidth - fold, iconY);
+    ctx.lineTo(iconX + iconWidth - fold, iconY + fold);
+    ctx.lineTo(iconX + iconWidth, iconY + fold);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "#FFF";
+    ctx.font = `bold ${9 * scale}px "Noto Sans"`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(type.label, iconX + iconWidth / 2, iconY + iconHeight - 5 * scale);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    const textX = iconX + iconWidth + padding;
+    const textWidth = Math.max(1, width - textX - padding);
+    const nameFontSize = 20 * scale;
+    const fileNameCanvas = await this.drawTruncatedText(
+      fileName,
+      [],
+      nameFontSize,
+      textColor,
+      textWidth,
+      emojiBrand
+    );
+    const details = [];
+    const pages = Number(document.pages);
+    if (pages > 0) {
+      details.push(`${pages} ${pages === 1 ? locale.page : locale.pages}`);
+    }
+    const fileSize = _formatFileSize(document.size);
+    if (fileSize) details.push(fileSize);
+    details.push(type.extension || type.label);
+    const detailsCanvas = await this.drawTruncatedText(
+      details.join(" · "),
+      [],
+      15 * scale,
+      isLight ? "#667781" : "#8696A0",
+      textWidth,
+      emojiBrand
+    );
+    ctx.drawImage(fileNameCanvas, textX, iconY - 2 * scale);
+    ctx.drawImage(detailsCanvas, textX, iconY + nameFontSize * 1.15);
+    return canvas;
+  }
+  async drawLinkPreview(
+    linkPreview,
+    url,
+    thumbnail,
+    width,
+    scale,
+    backgroundColor,
+    textColor,
+    emojiBrand = "apple"
+  ) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const mutedColor = isLight ? "#667781" : "#8696A0";
+    const padding = 10 * scale;
+    const thumbnailOnTop = thumbnail && thumbnail.width / thumbnail.height >= 1.5;
+    let thumbnailCanvas = null;
+    if (thumbnail) {
+      const thumbnailWidth = thumbnailOnTop ? Math.round(width) : Math.round(80 * scale);
+      const thumbnailHeight = thumbnailOnTop ? Math.round(width * 0.5) : thumbnailWidth;
+      const tempCanvas = createCanvas(thumbnail.width, thumbnail.height);
+      tempCanvas.getContext("2d").drawImage(thumbnail, 0, 0);
+      const resizedBuffer = await sharp(tempCanvas.toBuffer("image/png"))
+        .resize(thumbnailWidth, thumbnailHeight, { fit: "cover" })
+        .png()
+        .toBuffer();
+      thumbnailCanvas = this.roundImage(await loadImage(resizedBuffer), 10 * scale);
+    }
+    const sideThumbnailWidth = thumbnailCanvas && !thumbnailOnTop ? thumbnailCanvas.width : 0;
+    const textX = sideThumbnailWidth ? sideThumbnailWidth + padding : padding;
+    const textWidth = Math.max(1, width - textX - padding);
+    const titleFontSize = 19 * scale;
+    const descriptionFontSize = 16 * scale;
+    const domainFontSize = 15 * scale;
+    const title = linkPreview.title ? String(linkPreview.title) : "";
+    const titleCanvas = title
+      ? await this.drawTruncatedText(
+          title,
+          [{ type: "bold", offset: 0, length: runes(title).length }],
+          titleFontSize,
+          textColor,
+          textWidth,
+          emojiBrand
+        )
+      : null;
+    const descriptionCanvas = linkPreview.description
+      ? await this.drawMultilineText(
+          String(linkPreview.description),
+          [],
+          descriptionFontSize,
+          mutedColor,
+          0,
+          descriptionFontSize,
+          textWidth,
+          descriptionFontSize * 3,
+          emojiBrand,
+          2
+        )
+      : null;
+    const domain = linkPreview.siteName || _linkDomain(url);
+    const domainCanvas = domain
+      ? await this.drawTruncatedText(
+          String(domain),
+          [],
+          domainFontSize,
+          mutedColor,
+          textWidth,
+          emojiBrand
+        )
+      : null;
+    const textBlocks = [];
+    let textHeight = 0;
+    if (titleCanvas) {
+      textBlocks.push({ canvas: titleCanvas, y: textHeight });
+      textHeight += titleFontSize * 1.35;
+    }
+    if (descriptionCanvas) {
+      textBlocks.push({ canvas: descriptionCanvas, y: textHeight });
+      textHeight += descriptionCanvas.height - descriptionFontSize * 0.95;
+    }
+    if (domainCanvas) {
+      textBlocks.push({ canvas: domainCanvas, y: textHeight });
+      textHeight += domainFontSize * 1.35;
+    }
+    const topHeight = thumbnailOnTop ? thumbnailCanvas.height : 0;
+    const rowHeight = Math.max(textHeight + padding * 2, sideThumbnailWidth);
+    const canvas = createCanvas(width, topHeight + rowHeight);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(
+      this.drawRoundRect(
+        _colorLuminance(backgroundColor, isLight ? -0.05 : -0.25),
+        width,
+        canvas.height,
+        10 * scale
+      ),
+      0,
+      0
+    );
+    if (thumbnailCanvas) ctx.drawImage(thumbnailCanvas, 0, 0);
+    const textY = topHeight + (rowHeight - textHeight) / 2;
+    for (const block of textBlocks) {
+      ctx.drawImage(block.canvas, textX, textY + block.y);
+    }
+    return canvas;
+  }
+  async drawPollCard(
+    poll,
+    width,
+    scale,
+    backgroundColor,
+    textColor,
+    locale,
+    emojiBrand = "apple"
+  ) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const mutedColor = isLight ? "#667781" : "#8696A0";
+    const accentColor = isLight ? "#008069" : "#00A884";
+    const questionFontSize = 22 * scale;
+    const hintFontSize = 15 * scale;
+    const optionFontSize = 20 * scale;
+    const indicatorSize = 20 * scale;
+    const optionTextX = indicatorSize + 12 * scale;
+    const countWidth = 36 * scale;
+    const barHeight = 7 * scale;
+    const options = Array.isArray(poll.options) ? poll.options : [];
+    const totalVotes = options.reduce(
+      (total, option) => total + (Number(option.votes) || 0),
+      0
+    );
+    const questionCanvas = await this.drawMultilineText(
+      String(poll.question || ""),
+      "bold",
+      questionFontSize,
+      textColor,
+      0,
+      questionFontSize,
+      width,
+      questionFontSize * 10,
+      emojiBrand
+    );
+    let currentY = questionCanvas.height - questionFontSize * 0.7;
+    const hintY = currentY + hintFontSize * 1.2;
+    currentY = hintY + hintFontSize * 1.2;
+    const rows = [];
+    for (const option of options) {
+      const optionCanvas = await this.drawMultilineText(
+        String(option.text || ""),
+        option.entities || [],
+        optionFontSize,
+        textColor,
+        0,
+        optionFontSize,
+        Math.max(1, width - optionTextX - countWidth),
+        optionFontSize * 10,
+        emojiBrand
+      );
+      const votes = Number(option.votes) || 0;
+      const textHeight = Math.max(
+        optionCanvas.height - optionFontSize * 0.7,
+        indicatorSize
+      );
+      rows.push({
+        option,
+        votes,
+        canvas: optionCanvas,
+        y: currentY,
+        barY: currentY + textHeight + 6 * scale,
+      });
+      currentY += textHeight + 6 * scale + barHeight + 16 * scale;
+    }
+    const footerY = currentY;
+    const canvas = createCanvas(width, footerY + 44 * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(questionCanvas, 0, 0);
+    ctx.font = `${hintFontSize}px "Noto Sans"`;
+    ctx.fillStyle = mutedColor;
+    ctx.fillText(
+      poll.multiple ? locale.selectMultiple : locale.selectOne,
+      0,
+      hintY
+    );
+    const barWidth = width - optionTextX;
+    for (const row of rows) {
+      const indicatorX = indicatorSize / 2;
+      const indicatorY = row.y + optionFontSize * 0.55;
+      ctx.lineWidth = 2 * scale;
+      ctx.strokeStyle = row.option.selected ? accentColor : mutedColor;
+      ctx.fillStyle = accentColor;
+      ctx.beginPath();
+      if (poll.multiple) {
+        _traceBubblePath(
+          ctx,
+          indicatorX - indicatorSize / 2 + scale,
+          indicatorY - indicatorSize / 2 + scale,
+          indicatorSize - 2 * scale,
+          indicatorSize - 2 * scale,
+          4 * scale,
+          null,
+          0
+        );
+      } else {
+        ctx.arc(indicatorX, indicatorY, indicatorSize / 2 - scale, 0, Math.PI * 2);
+      }
+      if (row.option.selected) {
+        ctx.fill();
+        ctx.strokeStyle = "#FFF";
+        ctx.beginPath();
+        ctx.moveTo(indicatorX - indicatorSize * 0.25, indicatorY);
+        ctx.lineTo(indicatorX - indicatorSize * 0.05, indicatorY + indicatorSize * 0.2);
+        ctx.lineTo(indicatorX + indicatorSize * 0.28, indicatorY - indicatorSize * 0.2);
+      }
+      ctx.stroke();
+      ctx.drawImage(row.canvas, optionTextX, row.y);
+      ctx.font = `${hintFontSize}px "Noto Sans"`;
+      ctx.fillStyle = mutedColor;
+      ctx.textAlign = "right";
+      ctx.fillText(String(row.votes), width, row.y + optionFontSize);
+      ctx.textAlign = "left";
+      ctx.drawImage(
+        this.drawRoundRect(
+          isLight ? "rgba(0, 0, 0, 0.1)" : "rgba(255, 255, 255, 0.15)",
+          barWidth,
+          barHeight,
+          barHeight / 2
+        ),
+        optionTextX,
+        row.barY
+      );
+      const filledWidth = totalVotes > 0 ? barWidth * (row.votes / totalVotes) : 0;
+      if (filledWidth >= 1) {
+        ctx.drawImage(
+          this.drawRoundRect(accentColor, filledWidth, barHeight, barHeight / 2),
+          optionTextX,
+          row.barY
+        );
+      }
+    }
+    ctx.fillStyle = isLight ? "rgba(0, 0, 0, 0.1)" : "rgba(255, 255, 255, 0.15)";
+    ctx.fillRect(0, footerY, width, Math.max(1, scale));
+    ctx.font = `${18 * scale}px "Noto Sans"`;
+    ctx.fillStyle = accentColor;
+    ctx.textAlign = "center";
+    ctx.fillText(locale.viewVotes, width / 2, footerY + 30 * scale);
+    ctx.textAlign = "left";
+    return canvas;
+  }
+  async drawContactCard(
+    contact,
+    avatar,
+    width,
+    scale,
+    backgroundColor,
+    textColor,
+    locale,
+    emojiBrand = "apple"
+  ) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const mutedColor = isLight ? "#667781" : "#8696A0";
+    const accentColor = isLight ? "#008069" : "#00A884";
+    const dividerColor = isLight ? "rgba(0, 0, 0, 0.1)" : "rgba(255, 255, 255, 0.15)";
+    const avatarSize = 52 * scale;
+    const padding = 10 * scale;
+    const rowHeight = avatarSize + padding * 2;
+    const buttonHeight = 44 * scale;
+    const canvas = createCanvas(width, rowHeight + buttonHeight);
+    const ctx = canvas.getContext("2d");
+    if (avatar) {
+      ctx.drawImage(avatar, 0, padding, avatarSize, avatarSize);
+    }
+    const textX = avatarSize + 12 * scale;
+    const textWidth = Math.max(1, width - textX);
+    const nameFontSize = 21 * scale;
+    const name = contact.name || contact.number || "";
+    const nameCanvas = await this.drawTruncatedText(
+      name,
+      [{ type: "bold", offset: 0, length: runes(name).length }],
+      nameFontSize,
+      textColor,
+      textWidth,
+      emojiBrand
+    );
+    const number = contact.number && contact.name
+      ? this.formatPhoneNumber(String(contact.number))
+      : "";
+    if (number) {
+      const numberCanvas = await this.drawTruncatedText(
+        number,
+        [],
+        16 * scale,
+        mutedColor,
+        textWidth,
+        emojiBrand
+      );
+      ctx.drawImage(nameCanvas, textX, padding + avatarSize / 2 - nameFontSize * 1.15);
+      ctx.drawImage(numberCanvas, textX, padding + avatarSize / 2 + 2 * scale);
+    } else {
+      ctx.drawImage(nameCanvas, textX, padding + avatarSize / 2 - nameFontSize * 0.7);
+    }
+    ctx.fillStyle = dividerColor;
+    ctx.fillRect(0, rowHeight, width, Math.max(1, scale));
+    ctx.fillRect(width / 2, rowHeight, Math.max(1, scale), buttonHeight);
+    ctx.font = `${18 * scale}px "Noto Sans"`;
+    ctx.fillStyle = accentColor;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    const buttonY = rowHeight + buttonHeight / 2 + scale;
+    ctx.fillText(locale.sendMessage, width / 4, buttonY, width / 2 - padding);
+    ctx.fillText(locale.addContact, (width * 3) / 4, buttonY, width / 2 - padding);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    return canvas;
+  }
+  drawMapPlaceholder(width, height, scale, isLight) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = isLight ? "#E8EAED" : "#2C3A40";
+    ctx.fillRect(0, 0, width, height);
+    const cellSize = 24 * scale;
+    ctx.strokeStyle = isLight ? "#D5D8DC" : "#34474F";
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.beginPath();
+    for (let x = cellSize; x < width; x += cellSize) {
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    for (let y = cellSize; y < height; y += cellSize) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+    ctx.strokeStyle = isLight ? "#FFFFFF" : "#3E545D";
+    ctx.lineWidth = 6 * scale;
+    ctx.beginPath();
+    ctx.moveTo(0, height * 0.65);
+    ctx.lineTo(width, height * 0.35);
+    ctx.moveTo(width * 0.3, 0);
+    ctx.lineTo(width * 0.42, height);
+    ctx.stroke();
+    const pinX = width / 2;
+    const pinRadius = 12 * scale;
+    const pinY = height / 2 - pinRadius;
+    ctx.fillStyle = "#EA4335";
+    ctx.beginPath();
+    ctx.arc(pinX, pinY, pinRadius, Math.PI * 0.8, Math.PI * 2.2);
+    ctx.lineTo(pinX, pinY + pinRadius * 2.2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "#FFF";
+    ctx.beginPath();
+    ctx.arc(pinX, pinY, pinRadius * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+    return canvas;
+  }
+  async drawLocationCard(
+    location,
+    thumbnail,
+    width,
+    scale,
+    backgroundColor,
+    textColor,
+    emojiBrand = "apple"
+  ) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const mutedColor = isLight ? "#667781" : "#8696A0";
+    const mapWidth = Math.round(width);
+    const mapHeight = Math.round(width * 0.55);
+    let mapImage;
+    if (thumbnail) {
+      const tempCanvas = createCanvas(thumbnail.width, thumbnail.height);
+      tempCanvas.getContext("2d").drawImage(thumbnail, 0, 0);
+      const resizedBuffer = await sharp(tempCanvas.toBuffer("image/png"))
+        .resize(mapWidth, mapHeight, { fit: "cover" })
+        .png()
+        .toBuffer();
+      mapImage = await loadImage(resizedBuffer);
+    } else {
+      mapImage = this.drawMapPlaceholder(mapWidth, mapHeight, scale, isLight);
+    }
+    const mapCanvas = this.roundImage(mapImage, 10 * scale);
+    let title = location.name ? String(location.name) : "";
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    if (!title && !location.address && isFinite(lat) && isFinite(lng)) {
+      title = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    }
+    const nameFontSize = 20 * scale;
+    const addressFontSize = 16 * scale;
+    const textWidth = Math.max(1, width);
+    const nameCanvas = title
+      ? await this.drawTruncatedText(
+          title,
+          [{ type: "bold", offset: 0, length: runes(title).length }],
+          nameFontSize,
+          textColor,
+          textWidth,
+          emojiBrand
+        )
+      : null;
+    const addressCanvas = location.address
+      ? await this.drawTruncatedText(
+          String(location.address),
+          [],
+          addressFontSize,
+          mutedColor,
+          textWidth,
+          emojiBrand
+        )
+      : null;
+    let textHeight = 0;
+    if (nameCanvas) textHeight += nameFontSize * 1.35;
+    if (addressCanvas) textHeight += addressFontSize * 1.35;
+    const canvas = createCanvas(
+      width,
+      mapCanvas.height + (textHeight ? textHeight + 8 * scale : 0)
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(mapCanvas, 0, 0);
+    let textY = mapCanvas.height + 6 * scale;
+    if (nameCanvas) {
+      ctx.drawImage(nameCanvas, 0, textY);
+      textY += nameFontSize * 1.35;
+    }
+    if (addressCanvas) {
+      ctx.drawImage(addressCanvas, 0, textY);
+    }
+    return canvas;
+  }
+  async drawAlbumGrid(mediaList, width, scale) {
+    const items = [];
+    for (const media of mediaList) {
+      const item = await this.downloadMedia(media);
+      if (item) items.push(item);
+    }
+    if (items.length === 0) return null;
+    if (items.length === 1) return items[0].image;
+    const gap = 3 * scale;
+    const half = Math.round((width - gap) / 2);
+    const visibleItems = items.slice(0, 4);
+    const extraCount = items.length - visibleItems.length;
+    let tiles;
+    if (visibleItems.length === 2) {
+      const tileHeight = Math.round(half * 1.25);
+      tiles = [
+        { x: 0, y: 0, w: half, h: tileHeight },
+        { x: half + gap, y: 0, w: half, h: tileHeight },
+      ];
+    } else if (visibleItems.length === 3) {
+      tiles = [
+        { x: 0, y: 0, w: half * 2 + gap, h: half },
+        { x: 0, y: half + gap, w: half, h: half },
+        { x: half + gap, y: half + gap, w: half, h: half },
+      ];
+    } else {
+      tiles = [
+        { x: 0, y: 0, w: half, h: half },
+        { x: half + gap, y: 0, w: half, h: half },
+        { x: 0, y: half + gap, w: half, h: half },
+        { x: half + gap, y: half + gap, w: half, h: half },
+      ];
+    }
+    const canvas = createCanvas(
+      Math.max(...tiles.map((tile) => tile.x + tile.w)),
+      Math.max(...tiles.map((tile) => tile.y + tile.h))
+    );
+    const ctx = canvas.getContext("2d");
+    for (let index = 0; index < visibleItems.length; index++) {
+      const { image, isVideo, duration } = visibleItems[index];
+      const tile = tiles[index];
+      const tempCanvas = createCanvas(image.width, image.height);
+      tempCanvas.getContext("2d").drawImage(image, 0, 0);
+      const croppedBuffer = await sharp(tempCanvas.toBuffer("image/png"))
+        .resize(tile.w, tile.h, { fit: "cover", position: "centre" })
+        .png()
+        .toBuffer();
+      const tileImage = await loadImage(croppedBuffer);
+      ctx.drawImage(this.roundImage(tileImage, 4 * scale), tile.x, tile.y);
+      const isLastTile = index === visibleItems.length - 1;
+      if (isLastTile && extraCount > 0) {
+        ctx.drawImage(
+          this.drawRoundRect("rgba(0, 0, 0, 0.5)", tile.w, tile.h, 4 * scale),
+          tile.x,
+          tile.y
+        );
+        ctx.save();
+        ctx.fillStyle = "#FFF";
+        ctx.font = `bold ${Math.round(tile.h * 0.3)}px "Noto Sans"`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(`+${extraCount}`, tile.x + tile.w / 2, tile.y + tile.h / 2);
+        ctx.restore();
+      } else if (isVideo) {
+        this.drawVideoOverlay(ctx, tile.x, tile.y, tile.w, tile.h, duration, scale);
+      }
+    }
+    return canvas;
+  }
+  drawVideoOverlay(ctx, x, y, w, h, duration, scale) {
+    const playRadius = Math.min(28 * scale, w / 4, h / 4);
+    const centerX = x + w / 2;
+    const centerY = y + h / 2;
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, playRadius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#FFF";
+    ctx.beginPath();
+    ctx.moveTo(centerX - playRadius * 0.3, centerY - playRadius * 0.45);
+    ctx.lineTo(centerX + playRadius * 0.5, centerY);
+    ctx.lineTo(centerX - playRadius * 0.3, centerY + playRadius * 0.45);
+    ctx.closePath();
+    ctx.fill();
+    if (duration) {
+      const fontSize = 14 * scale;
+      const padding = 6 * scale;
+      const iconWidth = fontSize * 1.1;
+      const label = _formatDuration(duration);
+      ctx.font = `${fontSize}px "Noto Sans"`;
+      const badgeWidth = padding * 3 + iconWidth + ctx.measureText(label).width;
+      const badgeHeight = fontSize * 1.6;
+      const badgeX = x + 8 * scale;
+      const badgeY = y + h - badgeHeight - 8 * scale;
+      ctx.drawImage(
+        this.drawRoundRect("rgba(0, 0, 0, 0.45)", badgeWidth, badgeHeight, badgeHeight / 2),
+        badgeX,
+        badgeY
+      );
+      const iconY = badgeY + (badgeHeight - fontSize * 0.6) / 2;
+      ctx.fillStyle = "#FFF";
+      ctx.fillRect(badgeX + padding, iconY, iconWidth * 0.65, fontSize * 0.6);
+      ctx.beginPath();
+      ctx.moveTo(badgeX + padding + iconWidth * 0.65, iconY + fontSize * 0.3);
+      ctx.lineTo(badgeX + padding + iconWidth, iconY);
+      ctx.lineTo(badgeX + padding + iconWidth, iconY + fontSize * 0.6);
+      ctx.closePath();
+      ctx.fill();
+      ctx.textBaseline = "middle";
+      ctx.fillText(label, badgeX + padding * 2 + iconWidth, badgeY + badgeHeight / 2);
+    }
+    ctx.restore();
+  }
+  drawStickerQuote(scale, avatar, sticker, meta, reactions, backgroundColor, fromMe, header = null) {
+    const isLight = this.lightOrDark(backgroundColor) === "light";
+    const avatarSize = 50 * scale;
+    const reactionsOverlap = reactions ? reactions.height * 0.4 : 0;
+    const stickerY = header ? header.height + 4 * scale : 0;
+    const stickerHeight = Math.max(stickerY + sticker.height, fromMe ? 0 : avatarSize + 10 * scale);
+    const width = Math.max(
+      (fromMe ? 0 : avatarSize + 10 * scale) + sticker.width,
+      header ? header.width : 0
+    );
+    const blockPosX = fromMe ? width - sticker.width : avatarSize + 10 * scale;
+    const canvas = createCanvas(
+      width,
+      stickerHeight + (reactions ? reactions.height - reactionsOverlap : 0)
+    );
+    const ctx = canvas.getContext("2d");
+    if (avatar) {
+      ctx.drawImage(avatar, 0, 5 * scale, avatarSize, avatarSize);
+    }
+    if (header) {
+      ctx.drawImage(header, fromMe ? width - header.width : 0, 0);
+    }
+    ctx.drawImage(sticker, blockPosX, stickerY);
+    if (meta) {
+      const paddingX = 6 * scale;
+      const paddingY = 3 * scale;
+      const pillWidth = meta.width + paddingX * 2;
+      const pillHeight = meta.height + paddingY * 2;
+      const pillX = blockPosX + sticker.width - pillWidth - 4 * scale;
+      const pillY = stickerHeight - pillHeight - 4 * scale;
+      ctx.drawImage(
+        this.drawRoundRect(
+          isLight ? "rgba(255, 255, 255, 0.9)" : "rgba(11, 20, 26, 0.75)",
+          pillWidth,
+          pillHeight,
+          pillHeight / 2
+        ),
+        pillX,
+        pillY
+      );
+      ctx.drawImage(meta, pillX + paddingX, pillY + paddingY);
+    }
+    if (reactions) {
+      const reactionsX = fromMe
+        ? blockPosX + sticker.width - reactions.width
+        : blockPosX;
+      ctx.drawImage(reactions, reactionsX, stickerHeight - reactionsOverlap);
+    }
+    return canvas;
+  }
+  async drawQuote(
+    scale,
+    backgroundColorOne,
+    backgroundColorTwo,
+    avatar,
+    replyName,
+    replyNameColor,
+    finalReplyTextCanvas,
+    replyNumber,
+    name,
+    number,
+    text,
+    media,
+    mediaType,
+    finalContentWidth,
+    replyMedia,
+    replyMediaType,
+    replyThumbnailSize,
+    fromTime,
+    emojiBrand = "apple",
+    gap,
+    options = {}
+  ) {
+    const fromMe = !!options.fromMe;
+    if (mediaType === "sticker" && media) {
+      const hasReply = replyName && (finalReplyTextCanvas || replyMedia);
+      const header = name || options.forwarded || hasReply
+        ? await this.drawQuote(
+            scale,
+            backgroundColorOne,
+            backgroundColorTwo,
+            null,
+            replyName,
+            replyNameColor,
+            finalReplyTextCanvas,
+            replyNumber,
+            name,
+            number,
+            null,
+            null,
+            null,
+            finalContentWidth,
+            replyMedia,
+            replyMediaType,
+            replyThumbnailSize,
+            null,
+            emojiBrand,
+            gap,
+            {
+              fromMe,
+              bubbleTail: options.bubbleTail,
+              forwarded: options.forwarded,
+              compact: true,
+            }
+          )
+        : null;
+      return this.drawStickerQuote(
+        scale,
+        avatar,
+        media,
+        this.drawMessageMeta(fromTime, options.status, scale, options.editedLabel),
+        options.reactions || null,
+        backgroundColorOne,
+        fromMe,
+        header
+      );
+    }
+    const avatarPosX = 0;
+    const avatarPosY = 5 * scale;
     const avatarSize = 50 * scale;
     const indent = 14 * scale;
-    const blockPosX = avatarSize + 10 * scale;
-    const width = blockPosX + finalContentWidth;
+    const blockPosX = fromMe ? 0 : avatarSize + 10 * scale;
+    const tailSize = 8 * scale;
+    const bubbleTail = options.bubbleTail !== false ? (fromMe ? "right" : "left") : null;
+    const width = blockPosX + finalContentWidth + (fromMe ? tailSize : 0);
     const quotedThumbW = replyMedia ? Math.min(finalContentWidth * 0.25, replyMedia.width) : 0;
     const quotedThumbH = replyMedia ? replyMedia.height * (quotedThumbW / replyMedia.width) : 0;
     const replyNameHeight = replyName?.height || 0;
@@ -837,7 +2738,12 @@ class QuoteGenerate {
     const numberHeight = number?.height || 0;
     const nameBarHeight = Math.max(nameHeight, numberHeight, 1);
     let namePosY = indent;
-    let currentY = namePosY + nameBarHeight - 25 * scale;
+    let currentY = name ? namePosY + nameBarHeight - 25 * scale : indent / 2;
+    const forwarded = options.forwarded || null;
+    const forwardedPosY = currentY + indent / 4;
+    if (forwarded) {
+      currentY = forwardedPosY + forwarded.height;
+    }
     let rectHeight = currentY;
     let replyBubblePosX = textPosX;
     let replyBubblePosY = currentY;
@@ -854,25 +2760,51 @@ class QuoteGenerate {
       currentY += mediaHeight + indent;
       rectHeight = currentY;
     }
+    const attachments = (options.attachments || []).filter(Boolean);
+    const attachmentPositions = [];
+    for (const attachment of attachments) {
+      attachmentPositions.push(currentY + indent / 2);
+      currentY += attachment.height + indent / 2;
+      rectHeight = currentY + indent;
+    }
     let textPosY = currentY;
     if (text) {
       currentY += text.height;
       rectHeight = currentY;
     }
-    const height = Math.max(rectHeight + indent, avatarSize + indent * 2);
-    const canvas = createCanvas(width, height);
+    const height = Math.max(
+      rectHeight + indent,
+      fromMe || options.compact || options.showAvatar === false
+        ? 0
+        : avatarSize + indent * 2
+    );
+    const reactions = options.reactions || null;
+    const reactionsOverlap = reactions ? reactions.height * 0.4 : 0;
+    const canvas = createCanvas(
+      width,
+      height + (reactions ? reactions.height - reactionsOverlap : 0)
+    );
     const ctx = canvas.getContext("2d");
-    const rectWidth = width - blockPosX;
+    const rectWidth = finalContentWidth;
     const rect = backgroundColorOne === backgroundColorTwo
-      ? this.drawRoundRect(backgroundColorOne, rectWidth, height, 25 * scale)
+      ? this.drawRoundRect(
+        backgroundColorOne,
+        rectWidth,
+        height,
+        25 * scale,
+        bubbleTail,
+        tailSize
+      )
       : this.drawGradientRoundRect(
         backgroundColorOne,
         backgroundColorTwo,
         rectWidth,
         height,
-        25 * scale
+        25 * scale,
+        bubbleTail,
+        tailSize
       );
-    ctx.drawImage(rect, blockPosX, 0);
+    ctx.drawImage(rect, bubbleTail === "left" ? blockPosX - tailSize : blockPosX, 0);
     if (avatar) {
       ctx.drawImage(avatar, avatarPosX, avatarPosY, avatarSize, avatarSize);
     }
@@ -891,6 +2823,9 @@ class QuoteGenerate {
         namePosY + (nameBarHeight - name.height) / 2
       );
     }
+    if (forwarded) {
+      ctx.drawImage(forwarded, textPosX, forwardedPosY);
+    }
     if (replyName && (finalReplyTextCanvas || replyMedia)) {
       const replyBg = this.drawRoundRect(
         replyNameColor,
@@ -979,24 +2914,90 @@ class QuoteGenerate {
         mediaWidth,
         mediaHeight
       );
+      if (mediaType === "video") {
+        this.drawVideoOverlay(
+          ctx,
+          mediaPosX,
+          mediaPosY + 15,
+          mediaWidth,
+          mediaHeight,
+          options.mediaDuration,
+          scale
+        );
+      }
     }
+    attachments.forEach((attachment, index) => {
+      ctx.drawImage(attachment, textPosX, attachmentPositions[index]);
+    });
     if (text) {
       ctx.drawImage(text, textPosX, textPosY + 10);
     }
-    if (fromTime) {
-      const timeFontSize = 15 * scale;
-      ctx.font = `bold ${timeFontSize}px "Noto Sans"`;
-      ctx.fillStyle = "#888";
-      ctx.textAlign = "right";
-      ctx.textBaseline = "bottom";
-      ctx.fillText(
-        fromTime,
-        canvas.width - indent * 1.2,
-        canvas.height - indent * 0.7
+    const meta = this.drawMessageMeta(
+      fromTime,
+      options.status,
+      scale,
+      options.editedLabel
+    );
+    if (meta) {
+      ctx.drawImage(
+        meta,
+        blockPosX + rectWidth - indent * 1.2 - meta.width,
+        height - indent * 0.7 - meta.height
       );
     }
+    if (reactions) {
+      const reactionsX = fromMe
+        ? blockPosX + rectWidth - indent - reactions.width
+        : blockPosX + indent;
+      ctx.drawImage(reactions, reactionsX, height - reactionsOverlap);
+    }
     return canvas;
   }
+  async resolveMentions(message, resolver) {
+    const resolveNames = async (text, mentions) => {
+      const names = new Map();
+      const mentionMap = new Map(
+        Object.entries(mentions || {}).map(([key, name]) => [mentionKey(key), name])
+      );
+      for (const match of String(text).matchAll(MENTION_PATTERN)) {
+        const number = match[1];
+        if (names.has(number)) continue;
+        let name = mentionMap.get(number);
+        if (!name && typeof resolver === "function") {
+          try {
+            name = await resolver(number, message);
+          } catch (error) {
+            console.error(`Gagal me-resolve mention @${number}:`, error.message);
+          }
+        }
+        names.set(number, name ? String(name) : null);
+      }
+      return names;
+    };
+    if (!message.mentions && typeof resolver !== "function") return message;
+    if (message.text) {
+      const names = await resolveNames(message.text, message.mentions);
+      message = {
+        ...message,
+        ...rewriteMentions(message.text, message.entities, names),
+      };
+    }
+    const replyMessage = message.replyMessage;
+    if (replyMessage?.text) {
+      const names = await resolveNames(
+        replyMessage.text,
+        replyMessage.mentions || message.mentions
+      );
+      message = {
+        ...message,
+        replyMessage: {
+          ...replyMessage,
+          ...rewriteMentions(replyMessage.text, replyMessage.entities, names),
+        },
+      };
+    }
+    return message;
+  }
   async generate(
     backgroundColorOne,
     backgroundColorTwo,
@@ -1004,7 +3005,8 @@ class QuoteGenerate {
     width = 512,
     height = 512,
     scale = 2,
-    emojiBrand = "apple"
+    emojiBrand = "apple",
+    options = {}
   ) {
     if (!scale) scale = 2;
     if (scale > 20) scale = 20;
@@ -1013,6 +3015,55 @@ class QuoteGenerate {
     width *= scale;
     height *= scale;
     const backStyle = this.lightOrDark(backgroundColorOne);
+    const fromMe = !!message.fromMe;
+    const locale = _resolveLocale(options.locale);
+    const maxLines =
+      Math.max(0, parseInt(message.maxLines ?? options.maxLines, 10) || 0) || null;
+    if (message.parseMode === "whatsapp" && message.text) {
+      message = {
+        ...message,
+        ...parseWhatsAppMarkdown(message.text, message.entities),
+      };
+    }
+    const replyParseMode = message.replyMessage?.parseMode || message.parseMode;
+    if (replyParseMode === "whatsapp" && message.replyMessage?.text) {
+      message = {
+        ...message,
+        replyMessage: {
+          ...message.replyMessage,
+          ...parseWhatsAppMarkdown(
+            message.replyMessage.text,
+            message.replyMessage.entities
+          ),
+        },
+      };
+    }
+    message = await this.resolveMentions(message, options.mentionResolver);
+    if (message.deleted) {
+      message = {
+        ...message,
+        text: null,
+        entities: null,
+        media: null,
+        mediaType: null,
+        replyMessage: null,
+        reactions: null,
+        voice: null,
+        document: null,
+        linkPreview: null,
+        poll: null,
+        contact: null,
+        location: null,
+        forwarded: false,
+        edited: false,
+      };
+    }
+    if (fromMe) {
+      const outgoingColor = backStyle === "light" ? "#D9FDD3" : "#005C4B";
+      backgroundColorOne = outgoingColor;
+      backgroundColorTwo = outgoingColor;
+    }
+    const showName = !fromMe && options.showName !== false;
     const gap = 15 * scale;
     const nameColorLight = [
       "#FC5C51",
@@ -1057,24 +3108,13 @@ class QuoteGenerate {
       message.from.name ||
       `${message.from.first_name || ""} ${message.from.last_name || ""}`.trim();
     if (!nameText) nameText = "Yanto Baut";
-    const nameCanvas = await this.drawMultilineText(
-      this.trimNameOrNumber(nameText, 2),
-      [{ type: "bold", offset: 0, length: runes(nameText).length }],
-      nameSize,
-      nameColor,
-      0,
-      nameSize,
-      width,
-      nameSize,
-      emojiBrand
-    );
+    let nameCanvas = null;
     let numberCanvas = null;
-    if (message.from && message.from.number) {
-      const messageNumber = this.formatPhoneNumber(message.from.number)
-      numberCanvas = await this.drawMultilineText(
-        this.trimNameOrNumber(messageNumber, 2),
-        [],
-        Math.floor(nameSize * 0.6),
+    if (showName) {
+      nameCanvas = await this.drawMultilineText(
+        this.trimNameOrNumber(nameText, 2),
+        [{ type: "bold", offset: 0, length: runes(nameText).length }],
+        nameSize,
         nameColor,
         0,
         nameSize,
@@ -1082,37 +3122,198 @@ class QuoteGenerate {
         nameSize,
         emojiBrand
       );
+      if (message.from && message.from.number) {
+        const messageNumber = this.formatPhoneNumber(message.from.number)
+        numberCanvas = await this.drawMultilineText(
+          this.trimNameOrNumber(messageNumber, 2),
+          [],
+          Math.floor(nameSize * 0.6),
+          nameColor,
+          0,
+          nameSize,
+          width,
+          nameSize,
+          emojiBrand
+        );
+      }
     }
     let textCanvas;
-    if (message.text) {
-      textCanvas = await this.drawMultilineText(
+    if (message.deleted) {
+      textCanvas = await this.drawDeletedNotice(
+        fromMe ? locale.deletedByMe : locale.deleted,
+        24 * scale,
+        emojiBrand
+      );
+    } else if (message.text) {
+      textCanvas = await this.drawMessageText(
         message.text,
         message.entities,
         24 * scale,
         textColor,
-        0,
-        24 * scale,
         width,
         height,
-        emojiBrand
+        emojiBrand,
+        maxLines,
+        locale.readMore
       );
     }
     let avatarCanvas;
-    if (message.avatar && message.from) {
+    if (message.avatar && message.from && !fromMe && options.showAvatar !== false) {
       avatarCanvas = await this.drawAvatar(message.from);
     }
     let mediaCanvas;
-    if (message.media) {
-      mediaCanvas = await this.downloadMediaImage(message.media);
+    let mediaInfo = null;
+    if (Array.isArray(message.media)) {
+      mediaCanvas = await this.drawAlbumGrid(
+        message.media,
+        width - indent * 4,
+        scale
+      );
+    } else if (message.media && message.mediaType === "sticker") {
+      mediaCanvas = await this.downloadStickerImage(message.media, 190 * scale);
+    } else if (message.media) {
+      mediaInfo = await this.downloadMedia(message.media);
+      mediaCanvas = mediaInfo ? mediaInfo.image : null;
+    }
+    const mediaType = mediaInfo?.isVideo ? "video" : message.mediaType;
+    let voiceNote = null;
+    if (message.voice && (message.voice.buffer || message.voice.duration)) {
+      let waveform;
+      let duration = message.voice.duration;
+      if (message.voice.buffer) {
+        try {
+          const decoded = await this.decodeWaveform(message.voice.buffer);
+          waveform = decoded.peaks;
+          if (!duration) duration = decoded.duration;
+        } catch (error) {
+          console.error(
+            "Gagal mendekode voice note, menggunakan waveform pengganti.",
+            error.message
+          );
+        }
+      }
+      if (!waveform) {
+        waveform = _pseudoWaveform(
+          _hashValue(message.voice.buffer || `${message.from?.id || 0}:${duration}`) ^
+            (Number(duration) || 0),
+          64
+        );
+      }
+      voiceNote = {
+        waveform,
+        duration: duration || 0,
+        avatar: await this.drawAvatar(message.from),
+      };
     }
+    let documentThumbnail = null;
+    if (message.document && message.document.thumbnail) {
+      const thumbnailSource = Buffer.isBuffer(message.document.thumbnail)
+        ? { buffer: message.document.thumbnail }
+        : message.document.thumbnail;
+      documentThumbnail = await this.downloadMediaImage(thumbnailSource);
+    }
+    let linkPreview = null;
+    const linkUrl = message.linkPreview && !message.deleted
+      ? _findLinkUrl(message.text, message.entities)
+      : null;
+    if (linkUrl) {
+      let thumbnail = null;
+      if (message.linkPreview.thumbnail) {
+        const thumbnailSource = Buffer.isBuffer(message.linkPreview.thumbnail)
+          ? { buffer: message.linkPreview.thumbnail }
+          : message.linkPreview.thumbnail;
+        thumbnail = await this.downloadMediaImage(thumbnailSource);
+      }
+      linkPreview = { url: linkUrl, thumbnail };
+    }
+    let contact = null;
+    if (message.contact) {
+      contact = typeof message.contact === "string"
+        ? _parseVCard(message.contact)
+        : {
+            name: message.contact.name || "",
+            number: message.contact.number ? String(message.contact.number) : "",
+          };
+      const contactPhoto = Buffer.isBuffer(message.contact.photo)
+        ? { buffer: message.contact.photo }
+        : message.contact.photo;
+      contact.avatar = await this.drawAvatar({
+        id: _hashValue(`${contact.name}|${contact.number}`),
+        name: contact.name || contact.number,
+        photo: contactPhoto,
+      });
+    }
+    let locationThumbnail = null;
+    if (message.location && message.location.thumbnail) {
+      const thumbnailSource = Buffer.isBuffer(message.location.thumbnail)
+        ? { buffer: message.location.thumbnail }
+        : message.location.thumbnail;
+      locationThumbnail = await this.downloadMediaImage(thumbnailSource);
+    }
+    let reactionsCanvas = null;
+    if (Array.isArray(message.reactions) && message.reactions.length > 0) {
+      reactionsCanvas = await this.drawReactions(
+        message.reactions,
+        backgroundColorOne,
+        scale,
+        emojiBrand
+      );
+    }
+    let forwardedCanvas = null;
+    if (message.forwarded) {
+      const forwardedMany =
+        message.forwarded === "many" ||
+        (typeof message.forwarded === "number" && message.forwarded >= 5);
+      forwardedCanvas = await this.drawForwardedLabel(
+        forwardedMany ? locale.forwardedMany : locale.forwarded,
+        forwardedMany,
+        scale,
+        emojiBrand
+      );
+    }
+    const editedLabel = message.edited ? locale.edited : null;
+    let fromTime = message.from?.time || null;
+    const metaCanvas = this.drawMessageMeta(
+      fromTime,
+      message.status,
+      scale,
+      editedLabel
+    );
     const mainNameBarWidth =
       (nameCanvas?.width || 0) + (numberCanvas?.width || 0) + indent * 1.5;
     const mainTextWidth = textCanvas?.width || 0;
-    const mainMediaWidth = mediaCanvas ? width - indent * 4 : 0;
+    const mainMediaWidth = mediaCanvas && mediaType !== "sticker" ? width - indent * 4 : 0;
+    const mainMetaWidth = metaCanvas ? metaCanvas.width + indent * 0.2 : 0;
+    const mainForwardedWidth = forwardedCanvas?.width || 0;
+    let mainAttachmentWidth = 0;
+    if (voiceNote) {
+      mainAttachmentWidth = Math.min(width - indent * 4, 300 * scale);
+    }
+    if (message.document) {
+      mainAttachmentWidth = Math.max(
+        mainAttachmentWidth,
+        Math.min(width - indent * 4, 320 * scale)
+      );
+    }
+    if (linkPreview || message.poll) {
+      mainAttachmentWidth = Math.max(
+        mainAttachmentWidth,
+        Math.min(width - indent * 4, 340 * scale)
+      );
+    }
+    if (contact || message.location) {
+      mainAttachmentWidth = Math.max(
+        mainAttachmentWidth,
+        Math.min(width - indent * 4, 320 * scale)
+      );
+    }
     const mainContentRequiredWidth = Math.max(
       mainNameBarWidth,
       mainTextWidth,
-      mainMediaWidth
+      mainMediaWidth,
+      mainMetaWidth,
+      mainForwardedWidth,
+      mainAttachmentWidth
     );
     let replyContentRequiredWidth = 0;
     let replyNameCanvas,
@@ -1166,7 +3367,11 @@ class QuoteGenerate {
           );
         }
         if (message.replyMessage.media) {
-          let rawReplyMedia = await this.downloadMediaImage(message.replyMessage.media);
+          let rawReplyMedia = await this.downloadMediaImage(
+            Array.isArray(message.replyMessage.media)
+              ? message.replyMessage.media[0]
+              : message.replyMessage.media
+          );
           replyMediaType = message.replyMessage.mediaType;
           if (rawReplyMedia) {
             const targetSize = 60 * scale;
@@ -1202,7 +3407,11 @@ class QuoteGenerate {
       }
     }
     const finalContentWidth = Math.max(mainContentRequiredWidth, replyContentRequiredWidth) + indent * 2;
-    if (mediaCanvas && mediaCanvas.width > finalContentWidth - indent * 2) {
+    if (
+      mediaCanvas &&
+      mediaType !== "sticker" &&
+      mediaCanvas.width > finalContentWidth - indent * 2
+    ) {
       const tempCanvas = createCanvas(mediaCanvas.width, mediaCanvas.height);
       const tempCtx = tempCanvas.getContext('2d');
       tempCtx.drawImage(mediaCanvas, 0, 0);
@@ -1231,22 +3440,106 @@ class QuoteGenerate {
         emojiBrand
       );
     }
+    const attachmentWidth = finalContentWidth - indent * 2;
+    const attachments = [];
+    if (voiceNote) {
+      attachments.push(
+        this.drawVoiceNote(
+          voiceNote.waveform,
+          voiceNote.duration,
+          voiceNote.avatar,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          fromMe
+        )
+      );
+    }
+    if (message.document) {
+      attachments.push(
+        await this.drawDocumentCard(
+          message.document,
+          documentThumbnail,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          textColor,
+          locale,
+          emojiBrand
+        )
+      );
+    }
+    if (linkPreview) {
+      attachments.push(
+        await this.drawLinkPreview(
+          message.linkPreview,
+          linkPreview.url,
+          linkPreview.thumbnail,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          textColor,
+          emojiBrand
+        )
+      );
+    }
+    if (message.poll) {
+      attachments.push(
+        await this.drawPollCard(
+          message.poll,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          textColor,
+          locale,
+          emojiBrand
+        )
+      );
+    }
+    if (contact) {
+      attachments.push(
+        await this.drawContactCard(
+          contact,
+          contact.avatar,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          textColor,
+          locale,
+          emojiBrand
+        )
+      );
+    }
+    if (message.location) {
+      attachments.push(
+        await this.drawLocationCard(
+          message.location,
+          locationThumbnail,
+          attachmentWidth,
+          scale,
+          backgroundColorOne,
+          textColor,
+          emojiBrand
+        )
+      );
+    }
     let finalTextCanvas;
-    if (textCanvas) {
+    if (message.deleted) {
+      finalTextCanvas = textCanvas;
+    } else if (textCanvas) {
       const mainBubbleWidth = finalContentWidth - indent * 2;
-      finalTextCanvas = await this.drawMultilineText(
+      finalTextCanvas = await this.drawMessageText(
         message.text,
         message.entities,
         24 * scale,
         textColor,
-        0,
-        24 * scale,
         mainBubbleWidth,
         height,
-        emojiBrand
+        emojiBrand,
+        maxLines,
+        locale.readMore
       );
     }
-    let fromTime = message.from?.time || null;
     const quote = await this.drawQuote(
       scale,
       backgroundColorOne,
@@ -1260,18 +3553,124 @@ class QuoteGenerate {
       numberCanvas,
       finalTextCanvas,
       mediaCanvas,
-      message.mediaType,
+      mediaType,
       finalContentWidth,
       replyMedia,
       replyMediaType,
       quotedThumbH,
       fromTime,
       emojiBrand,
-      gap
+      gap,
+      {
+        fromMe,
+        bubbleTail: options.bubbleTail,
+        showAvatar: options.showAvatar,
+        status: message.status,
+        reactions: reactionsCanvas,
+        forwarded: forwardedCanvas,
+        editedLabel,
+        attachments,
+        mediaDuration: mediaInfo ? mediaInfo.duration : message.media?.duration,
+      }
     );
     return quote;
   }
 }
+const senderKey = (message) => message.from?.id || message.from?.name || null;
+const continuesRun = (previous, message) => {
+  if (!previous || !message) return false;
+  if (previous.type === "separator" || message.type === "separator") return false;
+  return (
+    !!previous.fromMe === !!message.fromMe &&
+    senderKey(previous) === senderKey(message)
+  );
+};
+const messageDuration = (message) => {
+  const delay = Number(message.delay);
+  if (delay > 0) return delay;
+  if (message.type === "separator") return 700;
+  const textLength = message.text ? runes(String(message.text)).length : 0;
+  return Math.min(4000, Math.max(1200, 800 + textLength * 45));
+};
+const stackQuoteImages = (images, stackWidth = 0) => {
+  if (images.length === 1 && !stackWidth) return images[0].canvas;
+  let width = stackWidth,
+    height = 0;
+  for (let index = 0; index < images.length; index++) {
+    const { canvas: quoteCanvas, margin } = images[index];
+    if (quoteCanvas.width > width) width = quoteCanvas.width;
+    height += quoteCanvas.height + (index > 0 ? margin : 0);
+  }
+  const canvas = createCanvas(width, Math.max(1, height));
+  const canvasCtx = canvas.getContext("2d");
+  let imageY = 0;
+  for (let index = 0; index < images.length; index++) {
+    const { canvas: quoteCanvas, align, margin } = images[index];
+    if (index > 0) imageY += margin;
+    let imageX = 0;
+    if (align === "right") imageX = width - quoteCanvas.width;
+    else if (align === "center") imageX = (width - quoteCanvas.width) / 2;
+    canvasCtx.drawImage(quoteCanvas, imageX, imageY);
+    imageY += quoteCanvas.height;
+  }
+  return canvas;
+};
+const renderConversationAnimation = async (quoteImages, format = "webp", background = null) => {
+  const states = [];
+  for (let index = 0; index < quoteImages.length; index++) {
+    const item = quoteImages[index];
+    const shown = quoteImages.slice(0, index);
+    if (item.typing) {
+      states.push({
+        images: [...shown, { ...item, canvas: item.typing }],
+        duration: TYPING_DURATION,
+      });
+    }
+    states.push({
+      images: [...shown, item],
+      duration: item.duration + (index === quoteImages.length - 1 ? LAST_FRAME_HOLD : 0),
+    });
+  }
+  const stackWidth = Math.max(
+    ...quoteImages.map((item) => Math.max(item.canvas.width, item.typing?.width || 0))
+  );
+  const stacks = states.map((state) => stackQuoteImages(state.images, stackWidth));
+  const stackHeight = Math.max(...stacks.map((stack) => stack.height));
+  const fitScale = Math.min(ANIMATION_SIZE / stackWidth, ANIMATION_SIZE / stackHeight);
+  const offsetX = (ANIMATION_SIZE - stackWidth * fitScale) / 2;
+  const offsetY = (ANIMATION_SIZE - stackHeight * fitScale) / 2;
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "qc-animated-"));
+  try {
+    for (let index = 0; index < states.length; index++) {
+      const stack = stacks[index];
+      const frame = createCanvas(ANIMATION_SIZE, ANIMATION_SIZE);
+      const frameCtx = frame.getContext("2d");
+      if (background) {
+        frameCtx.fillStyle = background;
+        frameCtx.fillRect(0, 0, ANIMATION_SIZE, ANIMATION_SIZE);
+      }
+      frameCtx.drawImage(
+        stack,
+        offsetX,
+        offsetY,
+        stack.width * fitScale,
+        stack.height * fitScale
+      );
+      await fs.promises.writeFile(
+        path.join(tempDir, `frame_${index + 1}.png`),
+        frame.toBuffer("image/png")
+      );
+    }
+    const outputPath = path.join(tempDir, `animation.${format}`);
+    await generateAnimatedBratVid(tempDir, outputPath, {
+      format,
+      frameDurations: states.map((state) => state.duration),
+    });
+    return await fs.promises.readFile(outputPath);
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+};
 const imageAlpha = (image, alpha) => {
   const canvas = createCanvas(image.width, image.height);
   const canvasCtx = canvas.getContext("2d");
@@ -1308,9 +3707,17 @@ module.exports = async (parm) => {
     backgroundColorOne = backgroundColor;
     backgroundColorTwo = backgroundColor;
   }
+  const locale = _resolveLocale(parm.locale);
+  const now = new Date();
+  const messageList = [];
+  let previousDay = null;
+  let afterSeparator = false;
   for (const key in parm.messages) {
     const message = parm.messages[key];
-    if (message) {
+    if (message && message.type === "separator") {
+      messageList.push(message);
+      afterSeparator = true;
+    } else if (message) {
       if (!message.from)
         message.from = {
           id: 0,
@@ -1339,52 +3746,85 @@ module.exports = async (parm) => {
           message.replyMessage.from.photo = {};
         }
       }
-      const canvasQuote = await quoteGenerate.generate(
+      const messageDate = _toDate(message.timestamp);
+      if (messageDate) {
+        const messageDay = _startOfDay(messageDate);
+        if (!afterSeparator && messageDay !== previousDay) {
+          messageList.push({
+            type: "separator",
+            text: _formatDateSeparator(messageDate, now, locale),
+          });
+        }
+        previousDay = messageDay;
+        afterSeparator = false;
+      }
+      messageList.push(message);
+    }
+  }
+  const quoteMargin = parm.scale ? 5 * parm.scale : 10;
+  const groupMessages = !!parm.groupMessages;
+  for (let index = 0; index < messageList.length; index++) {
+    const message = messageList[index];
+    if (message.type === "separator") {
+      const separatorCanvas = await quoteGenerate.drawDateSeparator(
+        message.text || "",
         backgroundColorOne,
-        backgroundColorTwo,
-        message,
-        parm.width,
-        parm.height,
         parseFloat(parm.scale) || 2,
         parm.emojiBrand || "apple"
       );
-      quoteImages.push(canvasQuote);
+      quoteImages.push({
+        canvas: separatorCanvas,
+        align: "center",
+        margin: quoteMargin,
+        duration: messageDuration(message),
+      });
+      continue;
     }
+    const isRunStart = !continuesRun(messageList[index - 1], message);
+    const isRunEnd = !continuesRun(message, messageList[index + 1]);
+    const canvasQuote = await quoteGenerate.generate(
+      backgroundColorOne,
+      backgroundColorTwo,
+      message,
+      parm.width,
+      parm.height,
+      parseFloat(parm.scale) || 2,
+      parm.emojiBrand || "apple",
+      {
+        bubbleTail: parm.bubbleTail !== false && isRunStart,
+        showName: !groupMessages || isRunStart,
+        showAvatar: !groupMessages || isRunEnd,
+        locale: parm.locale,
+        mentionResolver: parm.mentionResolver,
+        maxLines: parm.maxLines,
+      }
+    );
+    quoteImages.push({
+      canvas: canvasQuote,
+      align: message.fromMe ? "right" : "left",
+      margin: groupMessages && !isRunStart ? quoteMargin / 3 : quoteMargin,
+      duration: messageDuration(message),
+      typing:
+        parm.type === "animated" && parm.typing && !message.fromMe
+          ? quoteGenerate.drawTypingBubble(
+              parseFloat(parm.scale) || 2,
+              backgroundColorOne
+            )
+          : null,
+    });
   }
   if (quoteImages.length === 0) {
     return {
       error: "empty_messages",
     };
   }
-  let canvasQuote;
-  if (quoteImages.length > 1) {
-    let width = 0,
-      height = 0;
-    for (let index = 0; index < quoteImages.length; index++) {
-      if (quoteImages[index].width > width) width = quoteImages[index].width;
-      height += quoteImages[index].height;
-    }
-    const quoteMargin = parm.scale ? 5 * parm.scale : 10;
-    const canvas = createCanvas(
-      width,
-      height + quoteMargin * (quoteImages.length - 1)
-    );
-    const canvasCtx = canvas.getContext("2d");
-    let imageY = 0;
-    for (let index = 0; index < quoteImages.length; index++) {
-      canvasCtx.drawImage(quoteImages[index], 0, imageY);
-      imageY += quoteImages[index].height + quoteMargin;
-    }
-    canvasQuote = canvas;
-  } else {
-    canvasQuote = quoteImages[0];
-  }
   let quoteImage;
   let { type } = parm;
   const scale = parseFloat(parm.scale) || 2;
   if (!type) {
     type = "quote";
   }
+  const canvasQuote = type === "animated" ? null : stackQuoteImages(quoteImages);
   if (type === "quote") {
     const downPadding = 75;
     const maxWidth = 512;
@@ -1541,8 +3981,21 @@ module.exports = async (parm) => {
         force: true,
       })
       .toBuffer();
+  } else if (type === "animated") {
+    const animationFormat = parm.format === "mp4" ? "mp4" : "webp";
+    quoteImage = await renderConversationAnimation(
+      quoteImages,
+      animationFormat,
+      animationFormat === "mp4"
+        ? quoteGenerate.lightOrDark(backgroundColorOne) === "light" ? "#EFEAE2" : "#0B141A"
+        : null
+    );
   } else {
     quoteImage = canvasQuote.toBuffer("image/png");
   }
+  if (parm.format === "webp-sticker") {
+    quoteImage = await toWebpSticker(quoteImage, parm.stickerMetadata);
+  }
   return { image: quoteImage };
-};
\ No newline at end of file
+};
+module.exports.QuoteGenerate = QuoteGenerate;
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const STICKER_SIZE = 512;
+const STATIC_STICKER_MAX_BYTES = 100 * 1024;
+const ANIMATED_STICKER_MAX_BYTES = 500 * 1024;
+const STICKER_QUALITY_STEPS = [80, 70, 60, 50, 40, 30, 20];
+const EXIF_HEADER = Buffer.from([
+  0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57,
+  0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00,
+]);
+
+function _riffChunk(fourCC, data) {
+  const header = Buffer.alloc(8);
+  header.write(fourCC, 0, "ascii");
+  header.writeUInt32LE(data.length, 4);
+  const padding = data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, data, padding]);
+}
+
+function _readChunks(webp) {
+  if (
+    webp.length < 12 ||
+    webp.toString("ascii", 0, 4) !== "RIFF" ||
+    webp.toString("ascii", 8, 12) !== "WEBP"
+  ) {
+    throw new Error("Buffer bukan file WebP yang valid.");
+  }
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= webp.length) {
+    const fourCC = webp.toString("ascii", offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    const data = webp.subarray(offset + 8, offset + 8 + size);
+    chunks.push({ fourCC, data });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+function _canvasSize(chunk) {
+  const { fourCC, data } = chunk;
+  if (fourCC === "VP8 ") {
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff,
+      alpha: false,
+    };
+  }
+  if (fourCC === "VP8L") {
+    const bits = data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      alpha: ((bits >> 28) & 1) === 1,
+    };
+  }
+  throw new Error(`Chunk WebP tidak dikenal: ${fourCC}`);
+}
+
+function buildStickerExif(metadata = {}) {
+  const json = {
+    "sticker-pack-id": metadata.packId || crypto.randomUUID(),
+    "sticker-pack-name": metadata.packName || "",
+    "sticker-pack-publisher": metadata.packPublisher || "",
+    emojis: Array.isArray(metadata.emojis)
+      ? metadata.emojis
+      : metadata.emojis
+      ? [metadata.emojis]
+      : [],
+  };
+  const jsonBuffer = Buffer.from(JSON.stringify(json), "utf8");
+  const header = Buffer.from(EXIF_HEADER);
+  header.writeUInt32LE(jsonBuffer.length, 14);
+  return Buffer.concat([header, jsonBuffer]);
+}
+
+function addStickerMetadata(webp, metadata = {}) {
+  const chunks = _readChunks(webp).filter((chunk) => chunk.fourCC !== "EXIF");
+  let vp8x = chunks.find((chunk) => chunk.fourCC === "VP8X");
+  if (!vp8x) {
+    const { width, height, alpha } = _canvasSize(chunks[0]);
+    vp8x = { fourCC: "VP8X", data: Buffer.alloc(10) };
+    vp8x.data.writeUInt8(alpha ? 0x10 : 0, 0);
+    vp8x.data.writeUIntLE(width - 1, 4, 3);
+    vp8x.data.writeUIntLE(height - 1, 7, 3);
+    chunks.unshift(vp8x);
+  } else {
+    vp8x.data = Buffer.from(vp8x.data);
+  }
+  vp8x.data.writeUInt8(vp8x.data.readUInt8(0) | 0x08, 0);
+  chunks.push({ fourCC: "EXIF", data: buildStickerExif(metadata) });
+  const body = Buffer.concat(chunks.map((chunk) => _riffChunk(chunk.fourCC, chunk.data)));
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "ascii");
+  return Buffer.concat([header, body]);
+}
+
+async function toWebpSticker(input, metadata = {}, maxBytes = null) {
+  const { pages = 1 } = await sharp(input).metadata();
+  const animated = pages > 1;
+  const limit = maxBytes || (animated ? ANIMATED_STICKER_MAX_BYTES : STATIC_STICKER_MAX_BYTES);
+  const padded = await sharp(input, { animated })
+    .resize(STICKER_SIZE, STICKER_SIZE, {
+      fit: "contain",
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    .toFormat(animated ? "webp" : "png", animated ? { lossless: true } : {})
+    .toBuffer();
+  let webp;
+  for (const quality of STICKER_QUALITY_STEPS) {
+    webp = addStickerMetadata(
+      await sharp(padded, { animated }).webp({ quality, alphaQuality: quality }).toBuffer(),
+      metadata
+    );
+    if (webp.length <= limit) return webp;
+  }
+  throw new Error(`Stiker ${webp.length} byte masih melebihi batas ${limit} byte pada kualitas terendah.`);
+}
+
+module.exports = {
+  ANIMATED_STICKER_MAX_BYTES,
+  STATIC_STICKER_MAX_BYTES,
+  STICKER_SIZE,
+  addStickerMetadata,
+  buildStickerExif,
+  toWebpSticker,
+};
@@ -0,0 +1,180 @@
+const runes = require("runes");
+
+const WHATSAPP_INLINE_PATTERN =
+  /(^|[^\p{L}\p{N}])([*_~`])(?!\s)((?:(?!\2).)+?)(?<!\s)\2(?![\p{L}\p{N}])/u;
+const WHATSAPP_INLINE_TYPES = {
+  "*": "bold",
+  "_": "italic",
+  "~": "strikethrough",
+  "`": "code",
+};
+const URL_PATTERN = /(?<![\p{L}\p{N}@.])(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,:;!?'")\]}]/giu;
+const CODE_ENTITY_TYPES = ["code", "pre", "monospace"];
+
+function _runeIndexes(text) {
+  const indexes = [];
+  let index = 0;
+  for (const rune of runes(text)) {
+    for (let i = 0; i < rune.length; i++) indexes.push(index);
+    index++;
+  }
+  indexes.push(index);
+  return indexes;
+}
+
+function _overlaps(a, b) {
+  return a.offset < b.offset + b.length && b.offset < a.offset + a.length;
+}
+
+function parseWhatsAppMarkdown(source, sourceEntities = []) {
+  const text = String(source || "");
+  const runeAt = _runeIndexes(text);
+  const entities = [];
+  // Source rune index of every output rune, used to move caller entities past the stripped markers.
+  const sourceOf = [];
+  let output = "";
+  const append = (value, start, synthetic = false) => {
+    let position = start;
+    for (const rune of runes(value)) {
+      sourceOf.push(runeAt[position]);
+      if (!synthetic) position += rune.length;
+    }
+    output += value;
+  };
+  const appendInline = (value, start) => {
+    let rest = value;
+    let restStart = start;
+    let match;
+    while ((match = WHATSAPP_INLINE_PATTERN.exec(rest)) !== null) {
+      const innerStart = restStart + match.index + match[1].length + 1;
+      append(rest.slice(0, match.index + match[1].length), restStart);
+      const offset = sourceOf.length;
+      const type = WHATSAPP_INLINE_TYPES[match[2]];
+      if (type === "code") append(match[3], innerStart);
+      else appendInline(match[3], innerStart);
+      entities.push({ type, offset, length: sourceOf.length - offset });
+      rest = rest.slice(match.index + match[0].length);
+      restStart += match.index + match[0].length;
+    }
+    append(rest, restStart);
+  };
+  const appendLines = (value, start) => {
+    let lineStart = start;
+    value.split("\n").forEach((line, index) => {
+      if (index > 0) append("\n", lineStart - 1);
+      const atLineStart = index > 0 || output === "" || output.endsWith("\n");
+      const offset = sourceOf.length;
+      let blockType = null;
+      let marker = "";
+      if (atLineStart && /^>\s?/.test(line)) {
+        blockType = "blockquote";
+        marker = line.match(/^>\s?/)[0];
+      } else if (atLineStart && /^[-*]\s+/.test(line)) {
+        blockType = "list_item";
+        marker = line.match(/^[-*]\s+/)[0];
+        append("• ", lineStart, true);
+      } else if (atLineStart && /^\d+\.\s+/.test(line)) {
+        blockType = "list_item";
+      }
+      appendInline(line.slice(marker.length), lineStart + marker.length);
+      if (blockType && sourceOf.length > offset) {
+        entities.push({ type: blockType, offset, length: sourceOf.length - offset });
+      }
+      lineStart += line.length + 1;
+    });
+  };
+  const fencePattern = /```([\s\S]+?)```/g;
+  let lastIndex = 0;
+  let fence;
+  while ((fence = fencePattern.exec(text)) !== null) {
+    appendLines(text.slice(lastIndex, fence.index), lastIndex);
+    const leadingNewline = fence[1].startsWith("\n");
+    const code = fence[1].replace(/^\n/, "").replace(/\n$/, "");
+    const offset = sourceOf.length;
+    append(code, fence.index + 3 + (leadingNewline ? 1 : 0));
+    entities.push({
+      type: code.includes("\n") || leadingNewline ? "pre" : "monospace",
+      offset,
+      length: sourceOf.length - offset,
+    });
+    lastIndex = fence.index + fence[0].length;
+  }
+  appendLines(text.slice(lastIndex), lastIndex);
+
+  for (const entity of Array.isArray(sourceEntities) ? sourceEntities : []) {
+    const end = entity.offset + entity.length;
+    const start = sourceOf.findIndex((index) => index >= entity.offset);
+    if (start === -1) continue;
+    let last = sourceOf.length - 1;
+    while (last >= start && sourceOf[last] >= end) last--;
+    if (last >= start) entities.push({ ...entity, offset: start, length: last - start + 1 });
+  }
+  for (const match of output.matchAll(URL_PATTERN)) {
+    const url = {
+      type: "url",
+      offset: runes(output.slice(0, match.index)).length,
+      length: runes(match[0]).length,
+    };
+    const covered = entities.some(
+      (entity) =>
+        [...CODE_ENTITY_TYPES, "url", "text_link"].includes(entity.type) &&
+        _overlaps(entity, url)
+    );
+    if (!covered) entities.push(url);
+  }
+  entities.sort((a, b) => a.offset - b.offset);
+  return { text: output, entities };
+}
+
+const MENTION_PATTERN = /@(\d{5,16})(?![\p{L}\p{N}])/gu;
+
+function mentionKey(value) {
+  return String(value).split("@")[0].replace(/\D/g, "");
+}
+
+function rewriteMentions(text, entities, names) {
+  const matches = [...String(text).matchAll(MENTION_PATTERN)];
+  let output = String(text);
+  let result = Array.isArray(entities) ? entities.map((entity) => ({ ...entity })) : [];
+  const added = [];
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const match = matches[i];
+    const name = names.get(match[1]);
+    if (!name) continue;
+    const replacement = `@${name}`;
+    const offset = runes(output.slice(0, match.index)).length;
+    const oldLength = runes(match[0]).length;
+    const newLength = runes(replacement).length;
+    const delta = newLength - oldLength;
+    const mapStart = (position) => {
+      if (position <= offset) return position;
+      if (position >= offset + oldLength) return position + delta;
+      return offset;
+    };
+    const mapEnd = (position) => {
+      if (position <= offset) return position;
+      if (position >= offset + oldLength) return position + delta;
+      return offset + newLength;
+    };
+    result = result.map((entity) => {
+      const start = mapStart(entity.offset);
+      return { ...entity, offset: start, length: mapEnd(entity.offset + entity.length) - start };
+    });
+    for (const entity of added) entity.offset += delta;
+    added.push({ type: "mention", offset, length: newLength });
+    output =
+      output.slice(0, match.index) +
+      replacement +
+      output.slice(match.index + match[0].length);
+  }
+  result.push(...added);
+  result.sort((a, b) => a.offset - b.offset);
+  return { text: output, entities: result };
+}
+
+module.exports = {
+  MENTION_PATTERN,
+  mentionKey,
+  parseWhatsAppMarkdown,
+  rewriteMentions,
+};
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const { bratGenerator, generateAnimatedBratBuffer } = require("../src/utils/brat-generator");
+
+const rawPixels = async (input) => (await sharp(input).ensureAlpha().raw().toBuffer());
+
+const colorFrames = (colors) =>
+  Promise.all(colors.map((background) => sharp({ create: { width: 64, height: 64, channels: 3, background } }).png().toBuffer()));
+
+const webpFrameDurations = (buffer) => {
+  const durations = [];
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const size = buffer.readUInt32LE(offset + 4);
+    if (buffer.toString("ascii", offset, offset + 4) === "ANMF") durations.push(buffer.readUIntLE(offset + 20, 3));
+    offset += 8 + size + (size & 1);
+  }
+  return durations;
+};
+
+test("bratGenerator dengan blur 0 mengembalikan gambar tanpa blur", async () => {
+  const crisp = await bratGenerator("brat", [], { blur: 0 });
+  const blurred = await bratGenerator("brat");
+  const crispPixels = await rawPixels(crisp);
+  assert.notDeepStrictEqual(crispPixels, await rawPixels(blurred));
+  assert.deepStrictEqual(
+    await rawPixels(await sharp(crisp).blur(3).toBuffer()),
+    await rawPixels(blurred)
+  );
+});
+
+test("bratGenerator memakai warna latar dari preset", async () => {
+  const image = await bratGenerator("brat", [], { preset: "classic", blur: 0 });
+  const { data } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  assert.deepStrictEqual([...data.subarray(0, 3)], [0x8a, 0xce, 0x00]);
+});
+
+test("generateAnimatedBratBuffer memakai durasi per frame apa adanya", async () => {
+  const frames = await colorFrames(["#ff0000", "#00ff00", "#0000ff", "#ffff00"]);
+  const animation = await generateAnimatedBratBuffer(frames, { frameDurations: [200, 200, 200, 200] });
+  assert.deepStrictEqual(webpFrameDurations(animation), [200, 200, 200, 200]);
+  const held = await generateAnimatedBratBuffer(frames, { lastFrameDuration: 2500 });
+  assert.deepStrictEqual(webpFrameDurations(held), [667, 667, 667, 2500]);
+});
+
+test("generateAnimatedBratBuffer menggabungkan frame dan menjumlahkan durasinya saat mengecilkan ukuran", async () => {
+  const frames = await colorFrames(["#ff0000", "#00ff00", "#0000ff", "#ffff00", "#ff00ff"]);
+  const merged = await generateAnimatedBratBuffer([frames[1], frames[3], frames[4]], { frameDurations: [300, 700, 500] });
+  const reduced = await generateAnimatedBratBuffer(frames, {
+    frameDurations: [100, 200, 300, 400, 500],
+    maxBytes: merged.length
+  });
+  assert.deepStrictEqual(webpFrameDurations(reduced), [300, 700, 500]);
+  assert.deepStrictEqual(await rawPixels(reduced), await rawPixels(merged));
+});
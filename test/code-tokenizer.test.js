@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeLanguage, tokenizeCode } = require("../src/utils/code-tokenizer");
+
+test("normalizeLanguage mengenali alias bahasa", () => {
+  assert.strictEqual(normalizeLanguage(" TS "), "javascript");
+  assert.strictEqual(normalizeLanguage("py3"), "python");
+  assert.strictEqual(normalizeLanguage("zsh"), "shell");
+  assert.strictEqual(normalizeLanguage("cobol"), null);
+  assert.strictEqual(normalizeLanguage(null), null);
+});
+
+test("tokenizeCode mewarnai JavaScript", () => {
+  assert.deepStrictEqual(tokenizeCode('const x = fn("a"); // hi', "js"), [
+    [
+      { text: "const", type: "keyword" },
+      { text: " x ", type: "plain" },
+      { text: "=", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: "fn", type: "function" },
+      { text: "(", type: "punctuation" },
+      { text: '"a"', type: "string" },
+      { text: ");", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: "// hi", type: "comment" },
+    ],
+  ]);
+});
+
+test("tokenizeCode memecah token multi-baris per baris", () => {
+  assert.deepStrictEqual(tokenizeCode("/* a\r\nb */ 1", "javascript"), [
+    [{ text: "/* a", type: "comment" }],
+    [
+      { text: "b */", type: "comment" },
+      { text: " ", type: "plain" },
+      { text: "1", type: "number" },
+    ],
+  ]);
+});
+
+test("tokenizeCode mewarnai Python", () => {
+  assert.deepStrictEqual(tokenizeCode("@dec\ndef f(): return None  # c", "python"), [
+    [{ text: "@dec", type: "function" }],
+    [
+      { text: "def", type: "keyword" },
+      { text: " ", type: "plain" },
+      { text: "f", type: "function" },
+      { text: "():", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: "return", type: "keyword" },
+      { text: " ", type: "plain" },
+      { text: "None", type: "literal" },
+      { text: "  ", type: "plain" },
+      { text: "# c", type: "comment" },
+    ],
+  ]);
+});
+
+test("tokenizeCode membedakan kunci dan nilai JSON", () => {
+  assert.deepStrictEqual(tokenizeCode('{"a": 1, "b": true}', "json"), [
+    [
+      { text: "{", type: "punctuation" },
+      { text: '"a"', type: "property" },
+      { text: ":", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: "1", type: "number" },
+      { text: ",", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: '"b"', type: "property" },
+      { text: ":", type: "punctuation" },
+      { text: " ", type: "plain" },
+      { text: "true", type: "literal" },
+      { text: "}", type: "punctuation" },
+    ],
+  ]);
+});
+
+test("tokenizeCode mewarnai shell", () => {
+  assert.deepStrictEqual(tokenizeCode('echo "$HOME" --verbose # c', "bash"), [
+    [
+      { text: "echo ", type: "plain" },
+      { text: '"$HOME"', type: "string" },
+      { text: " ", type: "plain" },
+      { text: "--verbose", type: "property" },
+      { text: " ", type: "plain" },
+      { text: "# c", type: "comment" },
+    ],
+  ]);
+});
+
+test("tokenizeCode tanpa bahasa yang dikenal mengembalikan teks polos per baris", () => {
+  assert.deepStrictEqual(tokenizeCode("a *b*\n\nc", "cobol"), [
+    [{ text: "a *b*", type: "plain" }],
+    [],
+    [{ text: "c", type: "plain" }],
+  ]);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { QuoteGenerate } = require("../src/utils/quote-generator");
+
+const fontSize = 20;
+const maxWidth = 400;
+const maxHeight = 2000;
+const readMore = "Read more";
+
+const drawText = (text, maxLines = null, moreContent = false) =>
+  new QuoteGenerate().drawMultilineText(
+    text,
+    [],
+    fontSize,
+    "#000000",
+    0,
+    fontSize,
+    maxWidth,
+    maxHeight,
+    "apple",
+    maxLines,
+    readMore,
+    moreContent
+  );
+
+const drawMessage = (text, entities, maxLines) =>
+  new QuoteGenerate().drawMessageText(
+    text,
+    entities,
+    fontSize,
+    "#000000",
+    maxWidth,
+    maxHeight,
+    "apple",
+    maxLines,
+    readMore
+  );
+
+test("drawMultilineText mengembalikan jumlah baris sebenarnya", async () => {
+  const canvas = await drawText("satu\ndua\ntiga");
+  assert.strictEqual(canvas.lineCount, 3);
+  assert.strictEqual(canvas.clamped, false);
+});
+
+test("drawMultilineText memotong teks yang melebihi maxLines", async () => {
+  const canvas = await drawText("satu\ndua\ntiga", 2);
+  assert.strictEqual(canvas.lineCount, 2);
+  assert.strictEqual(canvas.clamped, true);
+});
+
+test("baris baru di akhir pada batas maxLines tidak menambah Read more", async () => {
+  const withNewline = await drawText("satu\ndua\n", 2);
+  const withoutNewline = await drawText("satu\ndua", 2);
+  assert.strictEqual(withNewline.clamped, false);
+  assert.strictEqual(withNewline.lineCount, 2);
+  assert.strictEqual(withNewline.width, withoutNewline.width);
+  assert.strictEqual(withNewline.height, withoutNewline.height);
+});
+
+test("teks yang pas di batas tetap diberi Read more jika masih ada konten berikutnya", async () => {
+  const canvas = await drawText("satu\ndua", 2, true);
+  assert.strictEqual(canvas.clamped, true);
+  assert.strictEqual(canvas.lineCount, 2);
+});
+
+test("Read more tidak ditulis di baris tambahan jika teks terpotong sebelum blok kode", async () => {
+  const text = "satu\ndua\ntiga\nconsole.log(1)";
+  const entities = [{ type: "pre", offset: 14, length: 14, language: "js" }];
+  const message = await drawMessage(text, entities, 2);
+  const clampedText = await drawText("satu\ndua\ntiga", 2);
+  assert.strictEqual(message.height, clampedText.height);
+});
+
+test("drawCodeBlock mengembalikan jumlah baris yang digambar", () => {
+  const quoteGenerate = new QuoteGenerate();
+  const code = "console.log(1)\nconsole.log(2)\nconsole.log(3)";
+  assert.strictEqual(quoteGenerate.drawCodeBlock(code, "js", fontSize, "#000000", maxWidth).lineCount, 3);
+  assert.strictEqual(quoteGenerate.drawCodeBlock(code, "js", fontSize, "#000000", maxWidth, 2).lineCount, 2);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const {
+  STICKER_SIZE,
+  addStickerMetadata,
+  buildStickerExif,
+  toWebpSticker,
+} = require("../src/utils/sticker");
+
+const metadata = { packId: "pack-1", packName: "Pack", packPublisher: "Saya", emojis: "😀" };
+
+const readChunks = (webp) => {
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= webp.length;) {
+    const size = webp.readUInt32LE(offset + 4);
+    chunks.push({ fourCC: webp.toString("ascii", offset, offset + 4), data: webp.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+};
+
+const solid = (channels, background) => sharp({ create: { width: 40, height: 30, channels, background } });
+
+const assertSticker = (webp, alphaFlag) => {
+  assert.strictEqual(webp.toString("ascii", 0, 4), "RIFF");
+  assert.strictEqual(webp.readUInt32LE(4), webp.length - 8);
+  const chunks = readChunks(webp);
+  const vp8x = chunks[0];
+  assert.strictEqual(vp8x.fourCC, "VP8X");
+  assert.strictEqual(vp8x.data.readUInt8(0), 0x08 | alphaFlag);
+  assert.strictEqual(vp8x.data.readUIntLE(4, 3) + 1, 40);
+  assert.strictEqual(vp8x.data.readUIntLE(7, 3) + 1, 30);
+  const exif = chunks.filter((chunk) => chunk.fourCC === "EXIF");
+  assert.strictEqual(exif.length, 1);
+  assert.deepStrictEqual(exif[0].data, buildStickerExif(metadata));
+  assert.strictEqual(chunks[chunks.length - 1].fourCC, "EXIF");
+};
+
+test("buildStickerExif menulis JSON pack setelah header TIFF", () => {
+  const exif = buildStickerExif(metadata);
+  assert.deepStrictEqual([...exif.subarray(0, 4)], [0x49, 0x49, 0x2a, 0x00]);
+  const length = exif.readUInt32LE(14);
+  assert.strictEqual(exif.length, 22 + length);
+  assert.deepStrictEqual(JSON.parse(exif.subarray(22).toString("utf8")), {
+    "sticker-pack-id": "pack-1",
+    "sticker-pack-name": "Pack",
+    "sticker-pack-publisher": "Saya",
+    emojis: ["😀"],
+  });
+});
+
+test("addStickerMetadata menambahkan VP8X dan EXIF ke WebP VP8", async () => {
+  const webp = await solid(3, "#ff0000").webp({ quality: 80 }).toBuffer();
+  assert.strictEqual(readChunks(webp)[0].fourCC, "VP8 ");
+  const sticker = addStickerMetadata(webp, metadata);
+  assertSticker(sticker, 0);
+  assert.strictEqual((await sharp(sticker).metadata()).width, 40);
+});
+
+test("addStickerMetadata mempertahankan flag alpha dari WebP VP8L", async () => {
+  const webp = await solid(4, { r: 0, g: 0, b: 255, alpha: 0.5 }).webp({ lossless: true }).toBuffer();
+  assert.strictEqual(readChunks(webp)[0].fourCC, "VP8L");
+  assertSticker(addStickerMetadata(webp, metadata), 0x10);
+});
+
+test("addStickerMetadata mengganti EXIF lama pada WebP VP8X", async () => {
+  const webp = await solid(4, { r: 0, g: 0, b: 255, alpha: 0.5 }).webp({ quality: 80 }).toBuffer();
+  assert.strictEqual(readChunks(webp)[0].fourCC, "VP8X");
+  const sticker = addStickerMetadata(addStickerMetadata(webp, { packName: "Lama" }), metadata);
+  assertSticker(sticker, 0x10);
+  assert.deepStrictEqual(
+    readChunks(sticker).map((chunk) => chunk.fourCC),
+    ["VP8X", "ALPH", "VP8 ", "EXIF"]
+  );
+});
+
+test("toWebpSticker menghasilkan stiker 512×512 di bawah batas", async () => {
+  const png = await sharp({ create: { width: 300, height: 100, channels: 3, background: "#00ff00" } }).png().toBuffer();
+  const sticker = await toWebpSticker(png, metadata);
+  const info = await sharp(sticker).metadata();
+  assert.strictEqual(info.width, STICKER_SIZE);
+  assert.strictEqual(info.height, STICKER_SIZE);
+  assert.strictEqual(readChunks(sticker).filter((chunk) => chunk.fourCC === "EXIF").length, 1);
+  await assert.rejects(toWebpSticker(png, metadata, 10), /melebihi batas 10 byte/);
+});
+
+test("toWebpSticker menyesuaikan WebP animasi ke 512×512", async () => {
+  const frames = await Promise.all(
+    ["#ff0000", "#0000ff"].map((background) =>
+      sharp({ create: { width: 60, height: 20, channels: 4, background } }).png().toBuffer()
+    )
+  );
+  const animation = await sharp(frames, { join: { animated: true } }).webp({ delay: [100, 200], loop: 0 }).toBuffer();
+  const sticker = await toWebpSticker(animation, metadata);
+  const info = await sharp(sticker, { animated: true }).metadata();
+  assert.strictEqual(info.pages, 2);
+  assert.strictEqual(info.width, STICKER_SIZE);
+  assert.strictEqual(info.pageHeight, STICKER_SIZE);
+  assert.deepStrictEqual(info.delay, [100, 200]);
+  assert.strictEqual(readChunks(sticker).filter((chunk) => chunk.fourCC === "EXIF").length, 1);
+});
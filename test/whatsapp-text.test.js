@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  mentionKey,
+  parseWhatsAppMarkdown,
+  rewriteMentions,
+} = require("../src/utils/whatsapp-text");
+
+test("parseWhatsAppMarkdown menghitung offset dalam rune", () => {
+  const { text, entities } = parseWhatsAppMarkdown("😀👩‍💻 *halo* ~dunia~");
+  assert.strictEqual(text, "😀👩‍💻 halo dunia");
+  assert.deepStrictEqual(entities, [
+    { type: "bold", offset: 3, length: 4 },
+    { type: "strikethrough", offset: 8, length: 5 },
+  ]);
+});
+
+test("parseWhatsAppMarkdown mendukung format bersarang", () => {
+  const { text, entities } = parseWhatsAppMarkdown("*tebal _miring_* `*kode*`");
+  assert.strictEqual(text, "tebal miring *kode*");
+  assert.deepStrictEqual(entities, [
+    { type: "bold", offset: 0, length: 12 },
+    { type: "italic", offset: 6, length: 6 },
+    { type: "code", offset: 13, length: 6 },
+  ]);
+});
+
+test("parseWhatsAppMarkdown membaca daftar dan kutipan", () => {
+  const { text, entities } = parseWhatsAppMarkdown("- satu\n2. dua\n> kutip *ini*");
+  assert.strictEqual(text, "• satu\n2. dua\nkutip ini");
+  assert.deepStrictEqual(entities, [
+    { type: "list_item", offset: 0, length: 6 },
+    { type: "list_item", offset: 7, length: 6 },
+    { type: "blockquote", offset: 14, length: 9 },
+    { type: "bold", offset: 20, length: 3 },
+  ]);
+});
+
+test("parseWhatsAppMarkdown membaca blok kode berpagar tanpa memproses isinya", () => {
+  const { text, entities } = parseWhatsAppMarkdown("lihat:\n```\nconst *a* = 1;\n```\nlalu ```mono```");
+  assert.strictEqual(text, "lihat:\nconst *a* = 1;\nlalu mono");
+  assert.deepStrictEqual(entities, [
+    { type: "pre", offset: 7, length: 14 },
+    { type: "monospace", offset: 27, length: 4 },
+  ]);
+});
+
+test("parseWhatsAppMarkdown menggeser entities dari pemanggil melewati penanda", () => {
+  const source = "*halo* dunia 😀 - ok";
+  const { text, entities } = parseWhatsAppMarkdown(source, [
+    { type: "underline", offset: 7, length: 5 },
+    { type: "text_link", offset: 0, length: 6, url: "https://example.com" },
+  ]);
+  assert.strictEqual(text, "halo dunia 😀 - ok");
+  assert.deepStrictEqual(entities, [
+    { type: "bold", offset: 0, length: 4 },
+    { type: "text_link", offset: 0, length: 4, url: "https://example.com" },
+    { type: "underline", offset: 5, length: 5 },
+  ]);
+});
+
+test("parseWhatsAppMarkdown menandai URL sebagai entity url", () => {
+  const { text, entities } = parseWhatsAppMarkdown("cek *https://example.com/a*, www.contoh.id. `https://kode.id`");
+  assert.strictEqual(text, "cek https://example.com/a, www.contoh.id. https://kode.id");
+  assert.deepStrictEqual(entities, [
+    { type: "bold", offset: 4, length: 21 },
+    { type: "url", offset: 4, length: 21 },
+    { type: "url", offset: 27, length: 13 },
+    { type: "code", offset: 42, length: 15 },
+  ]);
+});
+
+test("mentionKey mengambil nomor dari JID", () => {
+  assert.strictEqual(mentionKey("6281234567890@s.whatsapp.net"), "6281234567890");
+  assert.strictEqual(mentionKey("+62 812-3456-7890"), "6281234567890");
+});
+
+test("rewriteMentions menggeser offset saat nama lebih pendek", () => {
+  const names = new Map([["6281234567890", "Budi"]]);
+  const { text, entities } = rewriteMentions("hai @6281234567890 apa kabar", [
+    { type: "bold", offset: 19, length: 3 },
+  ], names);
+  assert.strictEqual(text, "hai @Budi apa kabar");
+  assert.deepStrictEqual(entities, [
+    { type: "mention", offset: 4, length: 5 },
+    { type: "bold", offset: 10, length: 3 },
+  ]);
+});
+
+test("rewriteMentions menggeser offset saat nama lebih panjang", () => {
+  const names = new Map([["12345", "Nama Yang Panjang"], ["67890", null]]);
+  const { text, entities } = rewriteMentions("@12345 dan @67890 ok", [
+    { type: "italic", offset: 18, length: 2 },
+  ], names);
+  assert.strictEqual(text, "@Nama Yang Panjang dan @67890 ok");
+  assert.deepStrictEqual(entities, [
+    { type: "mention", offset: 0, length: 18 },
+    { type: "italic", offset: 30, length: 2 },
+  ]);
+});
+
+test("rewriteMentions menghitung nama emoji dalam rune", () => {
+  const names = new Map([["12345", "👩‍💻"], ["67890", "Ani 🌸"]]);
+  const { text, entities } = rewriteMentions("@12345 @67890 ok", [
+    { type: "bold", offset: 14, length: 2 },
+  ], names);
+  assert.strictEqual(text, "@👩‍💻 @Ani 🌸 ok");
+  assert.deepStrictEqual(entities, [
+    { type: "mention", offset: 0, length: 2 },
+    { type: "mention", offset: 3, length: 6 },
+    { type: "bold", offset: 10, length: 2 },
+  ]);
+});